@@ -0,0 +1,114 @@
+/**
+ * Robot Arm Simulator - Headless Runner
+ * Runs a script against the simulation core in Node, without a browser.
+ *
+ * Usage: node headless.js <script> [--dt=<ms>] [--timeout=<s>] [--json]
+ *
+ *   --dt       Simulation timestep in ms (default CONFIG.simulation.timestep, 60Hz)
+ *   --timeout  Give up after this much simulated time in seconds (default 600)
+ *   --json     Print the final arm and object state as JSON
+ *
+ * Exits with status 1 if the script printed an error or did not finish.
+ * Needs the three package pinned in package.json: npm install
+ */
+
+global.THREE = require('three');
+const fs = require('fs');
+const sim = require('./sim-core.js');
+
+let initialized = false;
+
+// Run script source to completion with a fixed timestep
+// Returns { output: [{ text, type }], errors, timedOut, state }
+function runHeadless(source, options = {}) {
+    const { dt = sim.CONFIG.simulation.timestep * 1000, timeout = 600, name = 'script' } = options;
+
+    const output = [];
+    sim.setTerminal({
+        print(text = '', type = '') {
+            output.push({ text, type });
+            if (options.onPrint) options.onPrint(text, type);
+        },
+        printHTML(html) {
+            // Plain-text output only
+            this.print(html.replace(/<[^>]*>/g, ''));
+        },
+        clear() {}
+    });
+
+    // Files are read and written relative to the working directory
+    sim.setFiles({
+        save(fileName, text) {
+            fs.writeFileSync(fileName, text);
+        },
+        open(fileName, onLoad) {
+            if (!fileName) throw new Error('no file given');
+            onLoad(fs.readFileSync(fileName, 'utf8'));
+        }
+    });
+
+    // The core keeps one scene per process
+    if (!initialized) {
+        sim.initSimulation();
+        initialized = true;
+    }
+
+    sim.runScript(name, source.split('\n'));
+
+    const maxSteps = Math.ceil(timeout * 1000 / dt);
+    let steps = 0;
+    while (!sim.isSimulationIdle() && steps < maxSteps) {
+        sim.stepSimulation(dt / 1000);
+        steps++;
+    }
+
+    return {
+        output,
+        errors: output.filter(line => line.type === 'error').map(line => line.text),
+        timedOut: !sim.isSimulationIdle(),
+        state: sim.getSimulationState()
+    };
+}
+
+// Command line entry point
+function main(argv) {
+    const file = argv.find(arg => !arg.startsWith('--'));
+    const option = (key, fallback) => {
+        const match = argv.find(arg => arg.startsWith(`--${key}=`));
+        return match ? parseFloat(match.split('=')[1]) : fallback;
+    };
+
+    if (!file) {
+        console.error('Usage: node headless.js <script> [--dt=<ms>] [--timeout=<s>] [--json]');
+        return 2;
+    }
+
+    const result = runHeadless(fs.readFileSync(file, 'utf8'), {
+        dt: option('dt', sim.CONFIG.simulation.timestep * 1000),
+        timeout: option('timeout', 600),
+        name: file.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, ''),
+        onPrint(text, type) {
+            if (type === 'error') {
+                console.error(text);
+            } else {
+                console.log(text);
+            }
+        }
+    });
+
+    if (argv.includes('--json')) {
+        console.log(JSON.stringify(result.state, null, 2));
+    }
+
+    if (result.timedOut) {
+        console.error(`error: script did not finish within ${option('timeout', 600)}s of simulated time`);
+        return 1;
+    }
+    return result.errors.length > 0 ? 1 : 0;
+}
+
+module.exports = { runHeadless };
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
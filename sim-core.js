@@ -0,0 +1,8333 @@
+/**
+ * Robot Arm Simulator - Simulation Core
+ * Joint state, kinematics, physics and command processing with no DOM access.
+ * Loaded before app.js in the browser; runs headless in Node via headless.js.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+    // Arm segment lengths (in world units)
+    segments: {
+        baseHeight: 0.4,
+        shoulderLength: 1.5,  // Upper arm (shoulder to elbow)
+        elbowLength: 1.5,     // Lower arm (elbow to wrist) - equal to upper arm
+        wristLength: 0.4,
+        gripperLength: 0.25
+    },
+
+    // Joint limits (in degrees, degrees/s and degrees/s²)
+    limits: {
+        base: { min: -180, max: 180, maxVelocity: 120, maxAcceleration: 240 },
+        shoulder: { min: -90, max: 90, maxVelocity: 90, maxAcceleration: 180 },
+        elbow: { min: -135, max: 135, maxVelocity: 120, maxAcceleration: 240 },
+        wrist: { min: -90, max: 90, maxVelocity: 180, maxAcceleration: 360 },
+        wristRotate: { min: -180, max: 180, maxVelocity: 240, maxAcceleration: 480 }  // Wrist roll/rotation around arm axis
+    },
+
+    // IK branch selection - relative cost of moving each joint when choosing
+    // between elbow-up and elbow-down solutions
+    ik: {
+        jointWeights: { base: 1.0, shoulder: 1.5, elbow: 1.0, wrist: 0.5 }
+    },
+
+    // Collision-free motion planner (goto ... plan)
+    planner: {
+        maxIterations: 2000,  // RRT-Connect extension attempts
+        stepSize: 10,         // Max joint-space step per tree extension (degrees)
+        checkResolution: 3,   // Max joint change between collision checks (degrees)
+        clearance: 0.03,      // Extra distance kept from objects (world units)
+        shortcutAttempts: 60  // Path smoothing passes
+    },
+
+    // Simulation stepping - physics always advances in fixed steps so the same
+    // script gives the same result regardless of frame rate
+    simulation: {
+        timestep: 1 / 60,     // Seconds per simulation step
+        maxStepsPerFrame: 5   // Browser catch-up limit after a slow frame
+    },
+
+    // Large scenes: sweep-and-prune pairs objects that may touch, and objects
+    // that stay still for sleepDelay seconds sleep until something disturbs them
+    physics: {
+        sweepAndPrune: true,
+        sleeping: true,
+        sleepDelay: 0.5      // Seconds
+    },
+
+    // Gripper holding strength
+    gripper: {
+        force: 40,           // Squeeze force of the fingers (N)
+        friction: 0.8        // Friction coefficient of the finger pads
+    },
+
+    // Script language limits
+    scripts: {
+        maxCallDepth: 32   // Deepest nesting of "call" (stops endless recursion)
+    },
+
+    // Animation settings
+    animation: {
+        speed: 100,        // Percent of each joint's maxVelocity
+        profile: 'scurve'  // 'trapezoidal' or 'scurve' (see MOTION PROFILES)
+    },
+
+    // Visual settings
+    colors: {
+        base: 0x2d3748,
+        shoulder: 0x4a5568,
+        elbow: 0x718096,
+        wrist: 0x90cdf4,
+        effector: 0xf56565,
+        joint: 0x63b3ed,
+        floor: 0x1a202c,
+        grid: 0x2d3748
+    }
+};
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+let scene;
+let robotArm = {};
+let robotArmMeshes = [];  // All meshes in the robot arm for collision detection
+let gripperMeshes = { left: [], right: [] };  // Gripper finger meshes specifically
+let isAnimating = false;
+let animationQueue = [];
+
+// Current joint angles (in radians)
+const jointAngles = {
+    base: 0,
+    shoulder: 0,
+    elbow: 0,
+    wrist: 0,
+    wristRotate: 0  // Wrist roll/rotation around arm axis
+};
+
+// Target joint angles for animation
+const targetAngles = {
+    base: 0,
+    shoulder: 0,
+    elbow: 0,
+    wrist: 0,
+    wristRotate: 0
+};
+
+// Gripper state (0 = closed, 100 = fully open)
+let gripperOpenness = 50;  // Start half open
+let targetGripperOpenness = 50;
+let gripperAnimating = false;
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+// The core never touches the DOM. The browser UI (app.js) and the headless
+// runner (headless.js) plug in their own terminal output and view.
+
+// Terminal output: print(text, type), printHTML(html), clear()
+let terminal = {
+    print() {},
+    printHTML() {},
+    clear() {}
+};
+
+// View updates: joint/position readouts and the "moving" indicator
+let view = {
+    updateJoints() {},
+    setAnimating(active) {}
+};
+
+// Persistent key/value storage with the localStorage interface:
+// getItem(key), setItem(key, value). Defaults to memory for this process only.
+let storage = (() => {
+    const items = {};
+    return {
+        getItem(key) {
+            return key in items ? items[key] : null;
+        },
+        setItem(key, value) {
+            items[key] = String(value);
+        }
+    };
+})();
+
+// File transfer: save(name, text) hands text to the user as a file, and
+// open(name, onLoad, onError) reads one (the browser ignores name and asks).
+// Either may throw if files are not available.
+let files = {
+    save() {
+        throw new Error('File transfer is not available');
+    },
+    open() {
+        throw new Error('File transfer is not available');
+    }
+};
+
+function setTerminal(adapter) {
+    terminal = adapter;
+}
+
+function setView(adapter) {
+    view = adapter;
+}
+
+// Switching storage reloads the data persisted in it
+function setStorage(adapter) {
+    storage = adapter;
+    loadPersistedPositions();
+}
+
+function setFiles(adapter) {
+    files = adapter;
+}
+
+// ============================================================================
+// PHYSICS OBJECTS
+// ============================================================================
+
+const sceneObjects = [];  // Array of physics objects
+let grippedObject = null; // Currently gripped object
+
+const GRAVITY = 9.8;  // m/s²
+
+// Presets for spawn material=<name>: density (kg/m³) gives the mass,
+// friction is the Coulomb coefficient and restitution the bounciness (0-1)
+const MATERIALS = {
+    plastic: { density: 1000, friction: 0.5, restitution: 0.2 },
+    rubber: { density: 1100, friction: 0.9, restitution: 0.75 },
+    steel: { density: 7850, friction: 0.4, restitution: 0.35 },
+    wood: { density: 650, friction: 0.5, restitution: 0.3 },
+    foam: { density: 40, friction: 0.7, restitution: 0.1 }
+};
+const DEFAULT_MATERIAL = 'plastic';
+
+// Valid values for properties that override a material (mass in kg)
+const MATERIAL_PROPERTY_CHECKS = {
+    mass: { valid: value => value > 0, text: 'a positive number of grams' },
+    friction: { valid: value => value >= 0 && value <= 2, text: 'between 0 and 2' },
+    restitution: { valid: value => value >= 0 && value <= 1, text: 'between 0 and 1' }
+};
+
+class PhysicsObject {
+    constructor(mesh, type, size, name) {
+        this.mesh = mesh;
+        this.type = type;
+        this.size = size;  // { x, y, z } bounding dimensions
+        this.name = name;
+        this.velocity = new THREE.Vector3(0, 0, 0);
+        this.angularVelocity = new THREE.Vector3(0, 0, 0);  // rad/s about world axes
+        this.isGripped = false;
+        this.grippedOffset = null;  // Offset from gripper when gripped
+        this.grippedRotation = null; // Rotation relative to gripper when gripped
+        this.sleeping = false;      // Skipped by physics until woken
+        this.restTime = 0;          // Seconds spent nearly still (see updateSleep)
+        this.setMaterial(DEFAULT_MATERIAL);
+    }
+
+    // Take mass, friction and restitution from a MATERIALS preset
+    setMaterial(name) {
+        const preset = MATERIALS[name];
+        this.material = name;
+        this.mass = preset.density * this.getVolume();  // kg
+        this.friction = preset.friction;
+        this.restitution = preset.restitution;
+    }
+
+    getVolume() {
+        const radius = this.size.x / 2;
+        switch (this.type) {
+            case 'sphere':
+                return 4 / 3 * Math.PI * radius * radius * radius;
+            case 'cylinder':
+                return Math.PI * radius * radius * this.size.y;
+            default:
+                return this.size.x * this.size.y * this.size.z;
+        }
+    }
+
+    wake() {
+        this.sleeping = false;
+        this.restTime = 0;
+    }
+
+    getRadius() {
+        return Math.max(this.size.x, this.size.z) / 2;
+    }
+
+    // Radius of a sphere around the center that contains the whole object
+    getBoundingRadius() {
+        switch (this.type) {
+            case 'sphere':
+                return this.size.x / 2;
+            case 'cylinder':
+                return Math.hypot(this.size.x, this.size.y) / 2;
+            default:
+                return Math.hypot(this.size.x, this.size.y, this.size.z) / 2;
+        }
+    }
+
+    // Half of the current vertical extent, which grows when the object tilts
+    getHalfHeight() {
+        const q = this.mesh.quaternion;
+        // Height component of each local axis (second row of the rotation matrix)
+        const upX = 2 * (q.x * q.y + q.w * q.z);
+        const upY = 1 - 2 * (q.x * q.x + q.z * q.z);
+        const upZ = 2 * (q.y * q.z - q.w * q.x);
+
+        switch (this.type) {
+            case 'sphere':
+                return this.size.y / 2;
+            case 'cylinder':
+                return Math.abs(upY) * this.size.y / 2 + Math.sqrt(Math.max(0, 1 - upY * upY)) * this.size.x / 2;
+            default:
+                return (Math.abs(upX) * this.size.x + Math.abs(upY) * this.size.y + Math.abs(upZ) * this.size.z) / 2;
+        }
+    }
+
+    // Moment of inertia per unit of mass, taken as equal about every axis
+    getInertia() {
+        const radius = this.size.x / 2;
+        switch (this.type) {
+            case 'sphere':
+                return 0.4 * radius * radius;
+            case 'cylinder':
+                return (3 * radius * radius + this.size.y * this.size.y) / 12;
+            default:
+                return (this.size.x * this.size.x + this.size.y * this.size.y) / 12;
+        }
+    }
+}
+
+// Object colors for variety
+const OBJECT_COLORS = [
+    0xe53e3e, // red
+    0xdd6b20, // orange
+    0xd69e2e, // yellow
+    0x38a169, // green
+    0x3182ce, // blue
+    0x805ad5, // purple
+    0xd53f8c, // pink
+    0x319795  // teal
+];
+
+let objectCounter = 0;
+
+// ============================================================================
+// MOTION PROFILES
+// ============================================================================
+
+// Joint motion is timed from the per-joint velocity and acceleration limits in
+// CONFIG.limits. Every move follows one shared profile s(t) running from 0 to 1,
+// scaled so the most constrained joint runs at its limits and all joints start
+// and arrive together.
+
+const MOTION_JOINTS = ['base', 'shoulder', 'elbow', 'wrist', 'wristRotate'];
+const WRAPPING_JOINTS = ['base', 'wristRotate'];  // Interpolated the short way round
+
+// Build a time-optimal profile covering s = 0..1
+// maxVelocity is in s/second and maxAcceleration in s/second².
+// 'trapezoidal' ramps at constant acceleration; 'scurve' uses sine-squared
+// acceleration ramps so acceleration stays continuous (bounded jerk).
+function buildMotionProfile(maxVelocity, maxAcceleration, shape) {
+    if (!isFinite(maxVelocity) || !isFinite(maxAcceleration)) {
+        // Nothing moves
+        return { shape, velocity: 0, rampTime: 0, duration: 0 };
+    }
+
+    // An S-curve ramp averages half its peak acceleration, so it takes twice as long
+    const rampFactor = shape === 'scurve' ? 2 : 1;
+    let velocity = maxVelocity;
+    let rampTime = rampFactor * velocity / maxAcceleration;
+
+    // Too short to reach full speed - accelerate halfway, then decelerate
+    if (velocity * rampTime > 1) {
+        velocity = Math.sqrt(maxAcceleration / rampFactor);
+        rampTime = rampFactor * velocity / maxAcceleration;
+    }
+
+    return { shape, velocity, rampTime, duration: 1 / velocity + rampTime };
+}
+
+// Distance covered t seconds into the acceleration ramp
+function getRampPosition(profile, t) {
+    const { velocity, rampTime } = profile;
+    if (profile.shape === 'scurve') {
+        const peak = 2 * velocity / rampTime;
+        return peak * (t * t / 4 + rampTime * rampTime * (Math.cos(2 * Math.PI * t / rampTime) - 1) / (8 * Math.PI * Math.PI));
+    }
+    return 0.5 * (velocity / rampTime) * t * t;
+}
+
+// Profile position s (0..1) at t seconds after the move started
+function getProfilePosition(profile, t) {
+    if (t >= profile.duration) return 1;
+    if (t <= 0) return 0;
+
+    const { velocity, rampTime, duration } = profile;
+    if (t < rampTime) return getRampPosition(profile, t);
+    if (t > duration - rampTime) return 1 - getRampPosition(profile, duration - t);
+    return velocity * rampTime / 2 + velocity * (t - rampTime);
+}
+
+// Plan timing for a joint-space motion through `points` (angle sets in radians)
+// Path segments are given a share of s proportional to the time they need at
+// full speed, so no joint outruns its limit on any part of a Cartesian path.
+// Returns { knots, profile } where knots[k] is s at points[k].
+function planJointMotion(points) {
+    const speedScale = CONFIG.animation.speed / 100;
+    const maxVelocity = joint => CONFIG.limits[joint].maxVelocity * speedScale;
+
+    // Per-segment joint travel (degrees) and time at full speed
+    const segments = [];
+    const knots = [0];
+    for (let k = 1; k < points.length; k++) {
+        const deltas = {};
+        let time = 0;
+        for (const joint of MOTION_JOINTS) {
+            const diff = points[k][joint] - points[k - 1][joint];
+            const delta = Math.abs(WRAPPING_JOINTS.includes(joint) ? normalizeAngle(diff) : diff) * 180 / Math.PI;
+            deltas[joint] = delta;
+            time = Math.max(time, delta / maxVelocity(joint));
+        }
+        segments.push(deltas);
+        knots.push(knots[k - 1] + time);
+    }
+
+    const totalTime = knots[knots.length - 1];
+    if (totalTime === 0) {
+        return { knots: knots.map(() => 1), profile: buildMotionProfile(Infinity, Infinity) };
+    }
+    for (let k = 0; k < knots.length; k++) knots[k] /= totalTime;
+
+    // The steepest rate of each joint against s bounds the profile
+    let velocityLimit = Infinity;
+    let accelerationLimit = Infinity;
+    segments.forEach((deltas, k) => {
+        const span = knots[k + 1] - knots[k];
+        if (span <= 0) return;
+        for (const joint of MOTION_JOINTS) {
+            const rate = deltas[joint] / span;
+            if (rate <= 0) continue;
+            velocityLimit = Math.min(velocityLimit, maxVelocity(joint) / rate);
+            accelerationLimit = Math.min(accelerationLimit, CONFIG.limits[joint].maxAcceleration / rate);
+        }
+    });
+
+    return { knots, profile: buildMotionProfile(velocityLimit, accelerationLimit, CONFIG.animation.profile) };
+}
+
+// ============================================================================
+// ROBOT ARM CREATION
+// ============================================================================
+
+function setupRobotArmFromGLB(glbScene) {
+    // Create our custom materials matching the original style
+    const materials = {
+        base: new THREE.MeshStandardMaterial({
+            color: CONFIG.colors.base,
+            roughness: 0.3,
+            metalness: 0.8
+        }),
+        shoulder: new THREE.MeshStandardMaterial({
+            color: CONFIG.colors.wrist,  // Light blue like wrist
+            roughness: 0.4,
+            metalness: 0.5
+        }),
+        elbow: new THREE.MeshStandardMaterial({
+            color: CONFIG.colors.elbow,
+            roughness: 0.4,
+            metalness: 0.6
+        }),
+        wrist: new THREE.MeshStandardMaterial({
+            color: CONFIG.colors.wrist,
+            roughness: 0.4,
+            metalness: 0.5
+        }),
+        joint: new THREE.MeshStandardMaterial({
+            color: CONFIG.colors.elbow,  // Silvery gray like lower arm
+            roughness: 0.3,
+            metalness: 0.7
+        }),
+        effector: new THREE.MeshStandardMaterial({
+            color: CONFIG.colors.effector,
+            roughness: 0.3,
+            metalness: 0.5,
+            emissive: CONFIG.colors.effector,
+            emissiveIntensity: 0.2
+        }),
+        gripper: new THREE.MeshStandardMaterial({
+            color: 0xe53e3e,
+            roughness: 0.3,
+            metalness: 0.7
+        }),
+        gripperPad: new THREE.MeshStandardMaterial({
+            color: 0x1a1a1a,  // Black
+            roughness: 0.8,
+            metalness: 0.1
+        })
+    };
+
+    // Find parts by name (case-insensitive search)
+    function findPart(names) {
+        let found = null;
+        const searchNames = Array.isArray(names) ? names : [names];
+        glbScene.traverse((child) => {
+            if (found) return;
+            const childName = child.name.toLowerCase();
+            for (const name of searchNames) {
+                if (childName.includes(name.toLowerCase())) {
+                    found = child;
+                    break;
+                }
+            }
+        });
+        return found;
+    }
+
+    // Try to find the main parts
+    const basePart = findPart(['base', 'platform', 'bottom']);
+    const shoulderPart = findPart(['shoulder', 'upper_arm', 'upperarm', 'arm1']);
+    const elbowPart = findPart(['elbow', 'lower_arm', 'lowerarm', 'forearm', 'arm2']);
+    const wristPart = findPart(['wrist', 'hand']);
+    const gripperPart = findPart(['gripper', 'claw', 'effector']);
+    const leftFingerPart = findPart(['left', 'finger_l', 'claw_l']);
+    const rightFingerPart = findPart(['right', 'finger_r', 'claw_r']);
+
+    // Apply custom materials and enable shadows on all meshes
+    glbScene.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+
+            // Apply material based on object name
+            // Note: Check order matters - more specific matches (like "joint") come before general ones (like "shoulder")
+            const name = child.name.toLowerCase();
+            if (name.includes('base') || name.includes('platform') || name.includes('bottom')) {
+                child.material = materials.base;
+            } else if (name.includes('joint')) {
+                child.material = materials.joint;
+            } else if (name.includes('shoulder') || name.includes('upper')) {
+                child.material = materials.shoulder;
+            } else if (name.includes('elbow') || name.includes('lower') || name.includes('forearm')) {
+                child.material = materials.elbow;
+            } else if (name.includes('wrist') || name.includes('hand')) {
+                child.material = materials.wrist;
+            } else if (name.includes('pad')) {
+                child.material = materials.gripperPad;
+            } else if (name.includes('gripper') || name.includes('claw') || name.includes('finger') || name.includes('left') || name.includes('right')) {
+                child.material = materials.gripper;
+            } else if (name.includes('effector')) {
+                child.material = materials.effector;
+            } else {
+                // Default material for unnamed parts
+                child.material = materials.shoulder;
+            }
+        }
+    });
+
+    // Check if the GLB has a proper hierarchy we can use directly
+    // If parts are already nested properly in Blender, we use them directly
+    if (basePart && basePart.children.length > 0) {
+
+        // Add the whole scene at the base position
+        glbScene.position.y = 0;
+        scene.add(glbScene);
+
+        // Map parts to our robotArm structure based on hierarchy
+        robotArm.basePivot = basePart;
+
+        // Find shoulder pivot (first rotatable joint after base)
+        robotArm.shoulderPivot = shoulderPart || findChildByType(basePart, 'pivot', 'shoulder');
+
+        // Find elbow pivot
+        if (robotArm.shoulderPivot) {
+            robotArm.elbowPivot = elbowPart || findChildByType(robotArm.shoulderPivot, 'pivot', 'elbow');
+        }
+
+        // Find wrist pivot
+        if (robotArm.elbowPivot) {
+            robotArm.wristPivot = wristPart || findChildByType(robotArm.elbowPivot, 'pivot', 'wrist');
+        }
+
+        // Find wrist rotate pivot (for roll)
+        if (robotArm.wristPivot) {
+            robotArm.wristRotatePivot = findChildByType(robotArm.wristPivot, 'pivot', 'rotate') || robotArm.wristPivot;
+        }
+
+        // Find gripper group
+        robotArm.gripperGroup = gripperPart || findChildByType(robotArm.wristRotatePivot || robotArm.wristPivot, 'group', 'gripper');
+
+        // Find fingers
+        if (robotArm.gripperGroup) {
+            robotArm.leftFinger = leftFingerPart || findChildByType(robotArm.gripperGroup, 'group', 'left');
+            robotArm.rightFinger = rightFingerPart || findChildByType(robotArm.gripperGroup, 'group', 'right');
+        }
+
+    } else {
+        createHierarchyFromFlatGLB(glbScene, basePart, shoulderPart, elbowPart, wristPart, gripperPart, leftFingerPart, rightFingerPart);
+    }
+
+    // If we couldn't find pivots, create empty groups at expected positions
+    ensurePivotStructure();
+
+    // Create end effector marker at gripper tip
+    robotArm.endEffectorMarker = new THREE.Object3D();
+    robotArm.endEffectorMarker.position.y = CONFIG.segments.gripperLength;
+    if (robotArm.gripperGroup) {
+        robotArm.gripperGroup.add(robotArm.endEffectorMarker);
+    } else if (robotArm.wristRotatePivot) {
+        robotArm.wristRotatePivot.add(robotArm.endEffectorMarker);
+    }
+
+    // Initial position
+    setJointAngles(180, -20, 90, 45, false);
+
+    // Initialize gripper
+    applyGripperOpenness();
+
+    // Collect all meshes for collision detection
+    collectRobotArmMeshes(glbScene);
+}
+
+// Collect all meshes from the robot arm for mesh-based collision detection
+function collectRobotArmMeshes(glbScene) {
+    robotArmMeshes = [];
+    gripperMeshes = { left: [], right: [] };
+
+    glbScene.traverse((child) => {
+        if (child.isMesh) {
+            robotArmMeshes.push(child);
+
+            // Categorize gripper meshes
+            const name = child.name.toLowerCase();
+            if (name.includes('left') || name.includes('finger_l') || name.includes('claw_l')) {
+                gripperMeshes.left.push(child);
+            } else if (name.includes('right') || name.includes('finger_r') || name.includes('claw_r')) {
+                gripperMeshes.right.push(child);
+            } else if (name.includes('pad')) {
+                // Check parent to determine which finger the pad belongs to
+                let parent = child.parent;
+                while (parent) {
+                    const parentName = parent.name.toLowerCase();
+                    if (parentName.includes('left')) {
+                        gripperMeshes.left.push(child);
+                        break;
+                    } else if (parentName.includes('right')) {
+                        gripperMeshes.right.push(child);
+                        break;
+                    }
+                    parent = parent.parent;
+                }
+            }
+        }
+    });
+}
+
+function findChildByType(parent, type, namePart) {
+    if (!parent) return null;
+    for (const child of parent.children) {
+        const childName = child.name.toLowerCase();
+        if (childName.includes(namePart.toLowerCase())) {
+            return child;
+        }
+    }
+    return null;
+}
+
+function createHierarchyFromFlatGLB(glbScene, basePart, shoulderPart, elbowPart, wristPart, gripperPart, leftFingerPart, rightFingerPart) {
+    // Create pivot groups and attach visual parts
+
+    // Base pivot
+    robotArm.basePivot = new THREE.Group();
+    robotArm.basePivot.position.y = 0.15;
+    scene.add(robotArm.basePivot);
+
+    if (basePart) {
+        basePart.position.set(0, 0, 0);
+        scene.add(basePart);
+    }
+
+    // Shoulder pivot
+    robotArm.shoulderPivot = new THREE.Group();
+    robotArm.shoulderPivot.position.y = CONFIG.segments.baseHeight;
+    robotArm.basePivot.add(robotArm.shoulderPivot);
+
+    if (shoulderPart) {
+        shoulderPart.position.set(0, 0, 0);
+        robotArm.shoulderPivot.add(shoulderPart);
+    }
+
+    // Elbow pivot
+    robotArm.elbowPivot = new THREE.Group();
+    robotArm.elbowPivot.position.y = CONFIG.segments.shoulderLength;
+    robotArm.shoulderPivot.add(robotArm.elbowPivot);
+
+    if (elbowPart) {
+        elbowPart.position.set(0, 0, 0);
+        robotArm.elbowPivot.add(elbowPart);
+    }
+
+    // Wrist pivot
+    robotArm.wristPivot = new THREE.Group();
+    robotArm.wristPivot.position.y = CONFIG.segments.elbowLength;
+    robotArm.elbowPivot.add(robotArm.wristPivot);
+
+    if (wristPart) {
+        wristPart.position.set(0, 0, 0);
+        robotArm.wristPivot.add(wristPart);
+    }
+
+    // Wrist rotate pivot
+    robotArm.wristRotatePivot = new THREE.Group();
+    robotArm.wristRotatePivot.position.y = CONFIG.segments.wristLength;
+    robotArm.wristPivot.add(robotArm.wristRotatePivot);
+
+    // Gripper group
+    robotArm.gripperGroup = new THREE.Group();
+    robotArm.gripperGroup.position.y = 0.06;
+    robotArm.wristRotatePivot.add(robotArm.gripperGroup);
+
+    if (gripperPart) {
+        gripperPart.position.set(0, 0, 0);
+        robotArm.gripperGroup.add(gripperPart);
+    }
+
+    // Fingers
+    if (leftFingerPart) {
+        robotArm.leftFinger = leftFingerPart;
+        robotArm.leftFinger.position.x = -0.05;
+        robotArm.gripperGroup.add(robotArm.leftFinger);
+    }
+
+    if (rightFingerPart) {
+        robotArm.rightFinger = rightFingerPart;
+        robotArm.rightFinger.position.x = 0.05;
+        robotArm.gripperGroup.add(robotArm.rightFinger);
+    }
+}
+
+function ensurePivotStructure() {
+    // Ensure all required pivots exist
+    if (!robotArm.basePivot) {
+        robotArm.basePivot = new THREE.Group();
+        robotArm.basePivot.position.y = 0.15;
+        scene.add(robotArm.basePivot);
+    }
+
+    if (!robotArm.shoulderPivot) {
+        robotArm.shoulderPivot = new THREE.Group();
+        robotArm.shoulderPivot.position.y = CONFIG.segments.baseHeight;
+        robotArm.basePivot.add(robotArm.shoulderPivot);
+    }
+
+    if (!robotArm.elbowPivot) {
+        robotArm.elbowPivot = new THREE.Group();
+        robotArm.elbowPivot.position.y = CONFIG.segments.shoulderLength;
+        robotArm.shoulderPivot.add(robotArm.elbowPivot);
+    }
+
+    if (!robotArm.wristPivot) {
+        robotArm.wristPivot = new THREE.Group();
+        robotArm.wristPivot.position.y = CONFIG.segments.elbowLength;
+        robotArm.elbowPivot.add(robotArm.wristPivot);
+    }
+
+    if (!robotArm.wristRotatePivot) {
+        robotArm.wristRotatePivot = new THREE.Group();
+        robotArm.wristRotatePivot.position.y = CONFIG.segments.wristLength;
+        robotArm.wristPivot.add(robotArm.wristRotatePivot);
+    }
+
+    if (!robotArm.gripperGroup) {
+        robotArm.gripperGroup = new THREE.Group();
+        robotArm.gripperGroup.position.y = 0.06;
+        robotArm.wristRotatePivot.add(robotArm.gripperGroup);
+    }
+}
+
+// Fallback procedural arm if GLB fails to load
+function createProceduralRobotArm() {
+    // Materials
+    const baseMaterial = new THREE.MeshStandardMaterial({
+        color: CONFIG.colors.base,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+
+    const armMaterial = new THREE.MeshStandardMaterial({
+        color: CONFIG.colors.shoulder,
+        roughness: 0.4,
+        metalness: 0.6
+    });
+
+    const jointMaterial = new THREE.MeshStandardMaterial({
+        color: CONFIG.colors.joint,
+        roughness: 0.3,
+        metalness: 0.7,
+        emissive: CONFIG.colors.joint,
+        emissiveIntensity: 0.1
+    });
+
+    const effectorMaterial = new THREE.MeshStandardMaterial({
+        color: CONFIG.colors.effector,
+        roughness: 0.3,
+        metalness: 0.5,
+        emissive: CONFIG.colors.effector,
+        emissiveIntensity: 0.2
+    });
+
+    // Base platform
+    const baseGeometry = new THREE.CylinderGeometry(0.6, 0.7, 0.15, 32);
+    const basePlatform = new THREE.Mesh(baseGeometry, baseMaterial);
+    basePlatform.position.y = 0.075;
+    basePlatform.castShadow = true;
+    basePlatform.receiveShadow = true;
+    scene.add(basePlatform);
+
+    // Base pivot (rotates around Y axis)
+    robotArm.basePivot = new THREE.Group();
+    robotArm.basePivot.position.y = 0.15;
+    scene.add(robotArm.basePivot);
+
+    // Base column
+    const columnGeometry = new THREE.CylinderGeometry(0.2, 0.25, CONFIG.segments.baseHeight, 16);
+    const column = new THREE.Mesh(columnGeometry, armMaterial);
+    column.position.y = CONFIG.segments.baseHeight / 2;
+    column.castShadow = true;
+    robotArm.basePivot.add(column);
+
+    // Shoulder joint visual
+    const shoulderJointGeometry = new THREE.SphereGeometry(0.25, 16, 16);
+    const shoulderJoint = new THREE.Mesh(shoulderJointGeometry, jointMaterial);
+    shoulderJoint.position.y = CONFIG.segments.baseHeight;
+    shoulderJoint.castShadow = true;
+    robotArm.basePivot.add(shoulderJoint);
+
+    // Shoulder pivot (rotates around X axis)
+    robotArm.shoulderPivot = new THREE.Group();
+    robotArm.shoulderPivot.position.y = CONFIG.segments.baseHeight;
+    robotArm.basePivot.add(robotArm.shoulderPivot);
+
+    // Upper arm
+    const upperArmGeometry = new THREE.BoxGeometry(0.15, CONFIG.segments.shoulderLength, 0.15);
+    upperArmGeometry.translate(0, CONFIG.segments.shoulderLength / 2, 0);
+    const upperArm = new THREE.Mesh(upperArmGeometry, armMaterial);
+    upperArm.castShadow = true;
+    robotArm.shoulderPivot.add(upperArm);
+
+    // Elbow joint visual
+    const elbowJointGeometry = new THREE.SphereGeometry(0.2, 16, 16);
+    const elbowJoint = new THREE.Mesh(elbowJointGeometry, jointMaterial);
+    elbowJoint.position.y = CONFIG.segments.shoulderLength;
+    elbowJoint.castShadow = true;
+    robotArm.shoulderPivot.add(elbowJoint);
+
+    // Elbow pivot
+    robotArm.elbowPivot = new THREE.Group();
+    robotArm.elbowPivot.position.y = CONFIG.segments.shoulderLength;
+    robotArm.shoulderPivot.add(robotArm.elbowPivot);
+
+    // Lower arm
+    const lowerArmGeometry = new THREE.BoxGeometry(0.12, CONFIG.segments.elbowLength, 0.12);
+    lowerArmGeometry.translate(0, CONFIG.segments.elbowLength / 2, 0);
+    const lowerArm = new THREE.Mesh(lowerArmGeometry, new THREE.MeshStandardMaterial({
+        color: CONFIG.colors.elbow,
+        roughness: 0.4,
+        metalness: 0.6
+    }));
+    lowerArm.castShadow = true;
+    robotArm.elbowPivot.add(lowerArm);
+
+    // Wrist joint visual
+    const wristJointGeometry = new THREE.SphereGeometry(0.15, 16, 16);
+    const wristJoint = new THREE.Mesh(wristJointGeometry, jointMaterial);
+    wristJoint.position.y = CONFIG.segments.elbowLength;
+    wristJoint.castShadow = true;
+    robotArm.elbowPivot.add(wristJoint);
+
+    // Wrist pivot
+    robotArm.wristPivot = new THREE.Group();
+    robotArm.wristPivot.position.y = CONFIG.segments.elbowLength;
+    robotArm.elbowPivot.add(robotArm.wristPivot);
+
+    // Wrist/hand segment
+    const wristGeometry = new THREE.BoxGeometry(0.1, CONFIG.segments.wristLength, 0.1);
+    wristGeometry.translate(0, CONFIG.segments.wristLength / 2, 0);
+    const wrist = new THREE.Mesh(wristGeometry, new THREE.MeshStandardMaterial({
+        color: CONFIG.colors.wrist,
+        roughness: 0.4,
+        metalness: 0.5
+    }));
+    wrist.castShadow = true;
+    robotArm.wristPivot.add(wrist);
+
+    // Wrist rotate pivot (rotates around Y axis - the arm's longitudinal axis)
+    robotArm.wristRotatePivot = new THREE.Group();
+    robotArm.wristRotatePivot.position.y = CONFIG.segments.wristLength;
+    robotArm.wristPivot.add(robotArm.wristRotatePivot);
+
+    // Gripper base (mounting plate)
+    const gripperBaseGeometry = new THREE.CylinderGeometry(0.08, 0.1, 0.06, 16);
+    const gripperBase = new THREE.Mesh(gripperBaseGeometry, effectorMaterial);
+    gripperBase.position.y = 0.03;
+    gripperBase.castShadow = true;
+    robotArm.wristRotatePivot.add(gripperBase);
+
+    // Gripper clamps (bar style)
+    robotArm.gripperGroup = new THREE.Group();
+    robotArm.gripperGroup.position.y = 0.06;
+    robotArm.wristRotatePivot.add(robotArm.gripperGroup);
+
+    const clampMaterial = new THREE.MeshStandardMaterial({
+        color: 0xe53e3e,
+        roughness: 0.3,
+        metalness: 0.7
+    });
+
+    const clampAccentMaterial = new THREE.MeshStandardMaterial({
+        color: 0xc53030,
+        roughness: 0.4,
+        metalness: 0.6
+    });
+
+    // Clamp dimensions
+    const clampLength = CONFIG.segments.gripperLength * 1.0;
+    const clampWidth = 0.03;
+    const clampDepth = 0.08;
+
+    // Left clamp bar
+    const leftClampGroup = new THREE.Group();
+    leftClampGroup.position.x = -0.05;
+
+    const leftBar = new THREE.Mesh(
+        new THREE.BoxGeometry(clampWidth, clampLength, clampDepth),
+        clampMaterial
+    );
+    leftBar.name = 'left_clamp';
+    leftBar.position.y = clampLength / 2;
+    leftBar.castShadow = true;
+    leftClampGroup.add(leftBar);
+
+    const leftPad = new THREE.Mesh(
+        new THREE.BoxGeometry(0.015, clampLength * 0.7, clampDepth - 0.01),
+        clampAccentMaterial
+    );
+    leftPad.name = 'left_pad';
+    leftPad.position.set(clampWidth / 2 + 0.007, clampLength * 0.5, 0);
+    leftClampGroup.add(leftPad);
+
+    robotArm.gripperGroup.add(leftClampGroup);
+
+    // Right clamp bar (mirror)
+    const rightClampGroup = new THREE.Group();
+    rightClampGroup.position.x = 0.05;
+
+    const rightBar = new THREE.Mesh(
+        new THREE.BoxGeometry(clampWidth, clampLength, clampDepth),
+        clampMaterial
+    );
+    rightBar.name = 'right_clamp';
+    rightBar.position.y = clampLength / 2;
+    rightBar.castShadow = true;
+    rightClampGroup.add(rightBar);
+
+    const rightPad = new THREE.Mesh(
+        new THREE.BoxGeometry(0.015, clampLength * 0.7, clampDepth - 0.01),
+        clampAccentMaterial
+    );
+    rightPad.name = 'right_pad';
+    rightPad.position.set(-clampWidth / 2 - 0.007, clampLength * 0.5, 0);
+    rightClampGroup.add(rightPad);
+
+    robotArm.gripperGroup.add(rightClampGroup);
+
+    // Store clamp references for animation
+    robotArm.leftFinger = leftClampGroup;
+    robotArm.rightFinger = rightClampGroup;
+
+    // Create end effector position marker
+    robotArm.endEffectorMarker = new THREE.Object3D();
+    robotArm.endEffectorMarker.position.y = CONFIG.segments.gripperLength;
+    robotArm.gripperGroup.add(robotArm.endEffectorMarker);
+
+    // Initial position
+    setJointAngles(180, -20, 90, 45, false);
+
+    // Initialize gripper position
+    applyGripperOpenness();
+
+    // Collect meshes for collision detection (named like the GLB parts)
+    collectRobotArmMeshes(robotArm.basePivot);
+}
+
+// ============================================================================
+// PHYSICS OBJECTS - CREATION AND MANAGEMENT
+// ============================================================================
+
+// properties may set a material and override its mass (kg), friction and restitution
+function createObject(type, x, y, z, sizeMm = 80, properties = {}) {
+    // x, y, z are in robotics coordinates (cm): X=left/right, Y=forward, Z=height
+    // Convert to Three.js coordinates (meters): X=same, Y=height, Z=forward
+    const posX = x / 100;  // cm to meters
+    const posY = z / 100;  // Z (height) becomes Y in Three.js
+    const posZ = y / 100;  // Y (forward) becomes Z in Three.js
+
+    let geometry, size;
+    const objectSize = sizeMm / 1000;  // Convert mm to meters
+
+    switch (type) {
+        case 'cylinder':
+            geometry = new THREE.CylinderGeometry(objectSize / 2, objectSize / 2, objectSize, 16);
+            size = { x: objectSize, y: objectSize, z: objectSize };
+            break;
+        case 'sphere':
+            geometry = new THREE.SphereGeometry(objectSize / 2, 16, 16);
+            size = { x: objectSize, y: objectSize, z: objectSize };
+            break;
+        case 'cube':
+        default:
+            geometry = new THREE.BoxGeometry(objectSize, objectSize, objectSize);
+            size = { x: objectSize, y: objectSize, z: objectSize };
+            type = 'cube';
+            break;
+    }
+
+    const color = OBJECT_COLORS[objectCounter % OBJECT_COLORS.length];
+    const material = new THREE.MeshStandardMaterial({
+        color: color,
+        roughness: 0.4,
+        metalness: 0.3
+    });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+
+    // Position the object (ensure it's above floor)
+    const halfHeight = size.y / 2;
+    mesh.position.set(posX, Math.max(posY, halfHeight), posZ);
+
+    scene.add(mesh);
+
+    objectCounter++;
+    const name = `${type}_${objectCounter}`;
+
+    const physicsObj = new PhysicsObject(mesh, type, size, name);
+    if (properties.material) physicsObj.setMaterial(properties.material);
+    for (const key of ['mass', 'friction', 'restitution']) {
+        if (properties[key] !== undefined) physicsObj[key] = properties[key];
+    }
+    sceneObjects.push(physicsObj);
+
+    return physicsObj;
+}
+
+function removeObject(obj, instant = false) {
+    const index = sceneObjects.indexOf(obj);
+    if (index === -1) return;
+
+    // If gripped, release it first
+    if (grippedObject === obj) {
+        grippedObject = null;
+    }
+
+    // Remove from array immediately to prevent double-removal
+    sceneObjects.splice(index, 1);
+    wakeObjectsNear(obj);
+
+    if (instant) {
+        // Instant removal (no animation)
+        scene.remove(obj.mesh);
+        obj.mesh.geometry.dispose();
+        obj.mesh.material.dispose();
+        return;
+    }
+
+    // Shrink to zero animation (one step per simulation step)
+    const duration = 300; // ms
+    const startTime = simulationTime;
+
+    function animateShrink() {
+        const elapsed = simulationTime - startTime;
+        const progress = Math.min(elapsed / duration, 1);
+
+        // Ease in curve for accelerating shrink
+        const eased = progress * progress;
+        const scale = 1 - eased;
+        obj.mesh.scale.set(scale, scale, scale);
+
+        if (progress < 1) {
+            scheduleSimulationTask(0, animateShrink);
+        } else {
+            // Animation complete - remove from scene
+            scene.remove(obj.mesh);
+            obj.mesh.geometry.dispose();
+            obj.mesh.material.dispose();
+        }
+    }
+
+    animateShrink();
+}
+
+function removeAllObjects() {
+    while (sceneObjects.length > 0) {
+        removeObject(sceneObjects[0]);
+    }
+    objectCounter = 0;
+}
+
+// ============================================================================
+// PHYSICS UPDATE
+// ============================================================================
+
+function getGripperFingerTips() {
+    // Update world matrices
+    robotArm.leftFinger.updateWorldMatrix(true, false);
+    robotArm.rightFinger.updateWorldMatrix(true, false);
+
+    // Create points at finger tip positions (local y = gripperLength)
+    const tipY = CONFIG.segments.gripperLength;
+
+    const leftTip = new THREE.Vector3(0, tipY, 0);
+    const rightTip = new THREE.Vector3(0, tipY, 0);
+
+    robotArm.leftFinger.localToWorld(leftTip);
+    robotArm.rightFinger.localToWorld(rightTip);
+
+    return { left: leftTip, right: rightTip };
+}
+
+function getGripperCenter() {
+    robotArm.endEffectorMarker.updateWorldMatrix(true, false);
+    const center = new THREE.Vector3();
+    robotArm.endEffectorMarker.getWorldPosition(center);
+    return center;
+}
+
+// Get world positions of all arm joint points for collision detection
+function getArmJointPositions() {
+    // Update all world matrices
+    robotArm.basePivot.updateWorldMatrix(true, true);
+
+    const positions = [];
+
+    // Base position (top of base)
+    const basePos = new THREE.Vector3();
+    robotArm.basePivot.getWorldPosition(basePos);
+    basePos.y += CONFIG.segments.baseHeight;
+    positions.push({ name: 'shoulder', pos: basePos.clone() });
+
+    // Elbow position
+    const elbowPos = new THREE.Vector3();
+    robotArm.elbowPivot.getWorldPosition(elbowPos);
+    positions.push({ name: 'elbow', pos: elbowPos.clone() });
+
+    // Wrist position
+    const wristPos = new THREE.Vector3();
+    robotArm.wristPivot.getWorldPosition(wristPos);
+    positions.push({ name: 'wrist', pos: wristPos.clone() });
+
+    // Gripper base position
+    const gripperBasePos = new THREE.Vector3();
+    robotArm.wristRotatePivot.getWorldPosition(gripperBasePos);
+    positions.push({ name: 'gripperBase', pos: gripperBasePos.clone() });
+
+    // Gripper tips
+    const tips = getGripperFingerTips();
+    positions.push({ name: 'leftTip', pos: tips.left.clone() });
+    positions.push({ name: 'rightTip', pos: tips.right.clone() });
+
+    // Gripper center
+    const gripperCenter = getGripperCenter();
+    positions.push({ name: 'gripperCenter', pos: gripperCenter.clone() });
+
+    return positions;
+}
+
+// ============================================================================
+// COLLISION DETECTION SYSTEM
+// ============================================================================
+
+// Collision detection uses Oriented Bounding Boxes (OBB) and swept volumes
+// for accurate robot arm collision with scene objects.
+//
+// Key concepts:
+// 1. OBB collision - More accurate than AABB for rotated objects
+// 2. Swept collision - Detect collisions along movement path
+// 3. Separation axis theorem (SAT) - For precise penetration depth
+// 4. Predictive detection - Check BEFORE movement to prevent tunneling
+
+// Raycaster for collision detection
+// Compute the minimum translation vector (MTV) to separate two AABBs
+// Returns { axis: Vector3, depth: number } or null if no overlap
+function computeAABBSeparation(boxA, boxB) {
+    const centerA = new THREE.Vector3();
+    const centerB = new THREE.Vector3();
+    const sizeA = new THREE.Vector3();
+    const sizeB = new THREE.Vector3();
+
+    boxA.getCenter(centerA);
+    boxB.getCenter(centerB);
+    boxA.getSize(sizeA);
+    boxB.getSize(sizeB);
+
+    const diff = centerB.clone().sub(centerA);
+    const overlapX = (sizeA.x + sizeB.x) / 2 - Math.abs(diff.x);
+    const overlapY = (sizeA.y + sizeB.y) / 2 - Math.abs(diff.y);
+    const overlapZ = (sizeA.z + sizeB.z) / 2 - Math.abs(diff.z);
+
+    // No overlap
+    if (overlapX <= 0 || overlapY <= 0 || overlapZ <= 0) {
+        return null;
+    }
+
+    // Find minimum overlap axis (separation axis)
+    if (overlapX <= overlapY && overlapX <= overlapZ) {
+        return {
+            axis: new THREE.Vector3(diff.x > 0 ? 1 : -1, 0, 0),
+            depth: overlapX
+        };
+    } else if (overlapY <= overlapX && overlapY <= overlapZ) {
+        return {
+            axis: new THREE.Vector3(0, diff.y > 0 ? 1 : -1, 0),
+            depth: overlapY
+        };
+    } else {
+        return {
+            axis: new THREE.Vector3(0, 0, diff.z > 0 ? 1 : -1),
+            depth: overlapZ
+        };
+    }
+}
+
+// Check if a mesh intersects with an object using actual geometry
+// Returns collision info including penetration depth and separation direction
+function checkMeshObjectCollision(meshes, objMesh, tolerance = 0) {
+    if (!meshes || meshes.length === 0) return { collision: false };
+
+    // Update matrices
+    objMesh.updateMatrixWorld(true);
+
+    // Get object's bounding box in world space
+    const objBox = new THREE.Box3().setFromObject(objMesh);
+    const objCenter = new THREE.Vector3();
+    objBox.getCenter(objCenter);
+
+    let bestCollision = null;
+    let maxPenetration = 0;
+
+    for (const mesh of meshes) {
+        mesh.updateMatrixWorld(true);
+
+        // Get mesh's bounding box in world space
+        const meshBox = new THREE.Box3().setFromObject(mesh);
+
+        // Expand for tolerance/early detection
+        const testBox = meshBox.clone();
+        if (tolerance > 0) {
+            testBox.expandByScalar(tolerance);
+        }
+
+        // Check bounding box intersection
+        if (testBox.intersectsBox(objBox)) {
+            // Compute accurate separation using MTV
+            const separation = computeAABBSeparation(meshBox, objBox);
+
+            if (separation && separation.depth > maxPenetration) {
+                maxPenetration = separation.depth;
+
+                // Collision point is at the interface between boxes
+                const collisionPoint = new THREE.Vector3();
+                const meshCenter = new THREE.Vector3();
+                meshBox.getCenter(meshCenter);
+
+                // Point on mesh surface toward object
+                collisionPoint.copy(meshCenter).add(
+                    separation.axis.clone().multiplyScalar(
+                        meshBox.getSize(new THREE.Vector3()).dot(separation.axis.clone().multiply(separation.axis)) / 2
+                    )
+                );
+
+                bestCollision = {
+                    collision: true,
+                    mesh: mesh,
+                    penetration: separation.depth,
+                    point: collisionPoint,
+                    // Push direction is FROM mesh TOWARD object (MTV direction)
+                    pushDirection: separation.axis.clone(),
+                    separationAxis: separation.axis.clone()
+                };
+            }
+        }
+    }
+
+    return bestCollision || { collision: false };
+}
+
+// Check collision between gripper fingers and an object using actual mesh geometry
+function checkGripperMeshCollision(obj) {
+    const objMesh = obj.mesh;
+
+    // Check left finger collision
+    const leftCollision = checkMeshObjectCollision(gripperMeshes.left, objMesh);
+
+    // Check right finger collision
+    const rightCollision = checkMeshObjectCollision(gripperMeshes.right, objMesh);
+
+    return {
+        collision: leftCollision.collision || rightCollision.collision,
+        leftContact: leftCollision.collision,
+        rightContact: rightCollision.collision,
+        bothContact: leftCollision.collision && rightCollision.collision,
+        leftPenetration: leftCollision.penetration || 0,
+        rightPenetration: rightCollision.penetration || 0,
+        leftCollision: leftCollision,
+        rightCollision: rightCollision
+    };
+}
+
+// Check collision between any robot arm mesh and an object
+// Returns detailed collision info including push direction
+function checkArmMeshCollision(obj) {
+    const objMesh = obj.mesh;
+    objMesh.updateMatrixWorld(true);
+
+    // Get object's bounding box
+    const objBox = new THREE.Box3().setFromObject(objMesh);
+    const objCenter = new THREE.Vector3();
+    objBox.getCenter(objCenter);
+
+    let bestCollision = null;
+    let maxPenetration = 0;
+
+    for (const mesh of robotArmMeshes) {
+        // Skip gripper meshes (handled separately)
+        const name = mesh.name.toLowerCase();
+        if (name.includes('left') || name.includes('right') || name.includes('pad') ||
+            name.includes('finger') || name.includes('claw') || name.includes('gripper')) {
+            continue;
+        }
+
+        mesh.updateMatrixWorld(true);
+        const meshBox = new THREE.Box3().setFromObject(mesh);
+
+        if (meshBox.intersectsBox(objBox)) {
+            // Use accurate separation computation
+            const separation = computeAABBSeparation(meshBox, objBox);
+
+            if (separation && separation.depth > maxPenetration) {
+                maxPenetration = separation.depth;
+
+                const meshCenter = new THREE.Vector3();
+                meshBox.getCenter(meshCenter);
+
+                bestCollision = {
+                    collision: true,
+                    mesh: mesh,
+                    penetration: separation.depth,
+                    point: meshCenter.clone(),
+                    pushDirection: separation.axis.clone(),
+                    separationAxis: separation.axis.clone()
+                };
+            }
+        }
+    }
+
+    return bestCollision || { collision: false };
+}
+
+// Get gripper finger positions in world space for collision detection
+// Check distance from a point to a line segment
+function pointToSegmentDistance(point, segStart, segEnd) {
+    const line = segEnd.clone().sub(segStart);
+    const len = line.length();
+    if (len < 0.001) return point.distanceTo(segStart);
+
+    line.normalize();
+    const toPoint = point.clone().sub(segStart);
+    const proj = toPoint.dot(line);
+
+    if (proj <= 0) return point.distanceTo(segStart);
+    if (proj >= len) return point.distanceTo(segEnd);
+
+    const closestPoint = segStart.clone().add(line.multiplyScalar(proj));
+    return point.distanceTo(closestPoint);
+}
+
+// Get closest point on a line segment to a given point
+function closestPointOnSegment(point, segStart, segEnd) {
+    const line = segEnd.clone().sub(segStart);
+    const len = line.length();
+    if (len < 0.001) return segStart.clone();
+
+    line.normalize();
+    const toPoint = point.clone().sub(segStart);
+    const proj = toPoint.dot(line);
+
+    if (proj <= 0) return segStart.clone();
+    if (proj >= len) return segEnd.clone();
+
+    return segStart.clone().add(line.multiplyScalar(proj));
+}
+
+// Check if any part of the arm collides with an object
+// Returns collision info for physics response
+// buffer: optional extra distance to add to collision threshold (for early detection)
+function checkArmObjectCollision(obj, buffer = 0) {
+    const positions = getArmJointPositions();
+    const objPos = obj.mesh.position;
+    const radius = obj.getRadius();
+
+    // Arm segment radii (approximate thickness of each segment)
+    const segmentRadii = {
+        upperArm: 0.08,    // Upper arm thickness
+        lowerArm: 0.06,    // Lower arm thickness
+        wrist: 0.05,       // Wrist thickness
+        gripper: 0.04      // Gripper thickness
+    };
+
+    // Define arm segments to check
+    const segments = [
+        { start: 'shoulder', end: 'elbow', radius: segmentRadii.upperArm, name: 'upper arm' },
+        { start: 'elbow', end: 'wrist', radius: segmentRadii.lowerArm, name: 'lower arm' },
+        { start: 'wrist', end: 'gripperBase', radius: segmentRadii.wrist, name: 'wrist' },
+        { start: 'gripperBase', end: 'gripperCenter', radius: segmentRadii.gripper, name: 'gripper' }
+    ];
+
+    // Create position lookup
+    const posLookup = {};
+    for (const p of positions) {
+        posLookup[p.name] = p.pos;
+    }
+
+    let closestDist = Infinity;
+    let closestSegment = null;
+    let collisionPoint = null;
+
+    // Check each segment
+    for (const seg of segments) {
+        const startPos = posLookup[seg.start];
+        const endPos = posLookup[seg.end];
+        if (!startPos || !endPos) continue;
+
+        const dist = pointToSegmentDistance(objPos, startPos, endPos);
+        // Add buffer to collision threshold for early detection when blocking
+        const collisionThreshold = radius + seg.radius + buffer;
+
+        if (dist < collisionThreshold && dist < closestDist) {
+            closestDist = dist;
+            closestSegment = seg;
+            // Calculate ACTUAL closest point on segment to object (for proper push direction)
+            collisionPoint = closestPointOnSegment(objPos, startPos, endPos);
+        }
+    }
+
+    // Also check individual joint points (the spherical joints)
+    const jointRadii = { elbow: 0.2, wrist: 0.15 };
+    for (const [jointName, jointRadius] of Object.entries(jointRadii)) {
+        const jointPos = posLookup[jointName];
+        if (!jointPos) continue;
+
+        const dist = jointPos.distanceTo(objPos);
+        const collisionThreshold = radius + jointRadius;
+
+        if (dist < collisionThreshold && dist < closestDist) {
+            closestDist = dist;
+            closestSegment = { name: jointName + ' joint', radius: jointRadius };
+            collisionPoint = jointPos.clone();
+        }
+    }
+
+    if (closestSegment) {
+        return {
+            collision: true,
+            distance: closestDist,
+            segment: closestSegment,
+            point: collisionPoint,
+            penetration: (radius + closestSegment.radius) - closestDist
+        };
+    }
+
+    return { collision: false };
+}
+
+// Check if arm is colliding with a blocked object (can't be pushed through floor)
+// Returns { collision: bool, object: obj, info: {...} } if arm should stop
+//
+// BLOCKING LOGIC:
+// - Objects on floor cannot be pushed DOWN (into floor)
+// - Objects on floor CAN be pushed horizontally (they slide)
+// - Objects in air can be pushed in any direction
+// - Gripper pushing down onto floor object = BLOCK
+// - Arm segment pushing down onto floor object = BLOCK
+// - Any horizontal push = ALLOW (physics handles sliding)
+function checkArmCollisionWithBlockedObject() {
+    // ONLY block when the arm is pushing STRAIGHT DOWN into a floor-constrained object.
+    //
+    // The key insight: use the SEPARATION AXIS from collision detection.
+    // - If separation axis is horizontal → object can slide sideways → NO BLOCK
+    // - If separation axis is vertical (down) → object would need to go through floor → BLOCK
+    //
+    // We use a very strict threshold (>95% downward) to ensure side collisions are allowed.
+
+    const armBounds = getArmBounds();
+
+    for (const obj of sceneObjects) {
+        if (obj.isGripped || !isObjectNearArm(obj, armBounds)) continue;
+
+        const objPos = obj.mesh.position;
+        const halfHeight = obj.getHalfHeight();
+
+        // Check if object is on the floor
+        const floorTolerance = 0.03;
+        const onFloor = objPos.y <= halfHeight + floorTolerance;
+        if (!onFloor) continue;
+
+        // Objects in grip zone are being gripped, not blocked
+        if (isObjectInGripZone(obj)) continue;
+
+        // Check GRIPPER collision
+        const gripperCol = checkGripperMeshCollision(obj);
+
+        if (gripperCol.collision) {
+            const leftCol = gripperCol.leftCollision;
+            const rightCol = gripperCol.rightCollision;
+
+            // Check if separation axis is predominantly downward
+            for (const col of [leftCol, rightCol]) {
+                if (col?.collision && col.separationAxis) {
+                    const sepAxis = col.separationAxis;
+                    // Separation axis points from arm toward object
+                    // If it points strongly downward (Y < -0.95), object needs to move down
+                    if (sepAxis.y < -0.95 && col.penetration > 0.02) {
+                        return {
+                            collision: true,
+                            object: obj,
+                            info: {
+                                segment: { name: 'gripper' },
+                                penetration: col.penetration
+                            }
+                        };
+                    }
+                }
+            }
+        }
+
+        // Check ARM SEGMENTS collision
+        const armCol = checkArmMeshCollision(obj);
+
+        if (armCol.collision && armCol.penetration > 0.02) {
+            const sepAxis = armCol.separationAxis || armCol.pushDirection;
+
+            if (sepAxis) {
+                // Only block if separation is almost purely downward
+                if (sepAxis.y < -0.95) {
+                    return {
+                        collision: true,
+                        object: obj,
+                        info: {
+                            segment: { name: armCol.mesh?.name || 'arm' },
+                            penetration: armCol.penetration
+                        }
+                    };
+                }
+            }
+        }
+    }
+
+    return { collision: false, object: null };
+}
+
+// Box around the whole arm, so the detailed arm checks can skip objects far
+// from it
+function getArmBounds() {
+    const ARM_MARGIN = 0.1;  // Covers segment capsules and contact tolerances
+    const bounds = new THREE.Box3();
+    const meshBox = new THREE.Box3();
+
+    for (const mesh of robotArmMeshes) {
+        mesh.updateMatrixWorld(true);
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        bounds.union(meshBox.copy(mesh.geometry.boundingBox).applyMatrix4(mesh.matrixWorld));
+    }
+    return bounds.expandByScalar(ARM_MARGIN);
+}
+
+function isObjectNearArm(obj, armBounds) {
+    return armBounds.distanceToPoint(obj.mesh.position) <= obj.getBoundingRadius();
+}
+
+// Push objects that the arm is colliding with
+// Uses mesh-based collision for accurate detection
+// Objects on floor can only be pushed horizontally (not into floor)
+//
+// PHYSICS MODEL:
+// - Arm imparts momentum to objects it collides with
+// - Push force is proportional to penetration depth (stiffer contact = more force)
+// - Floor constrains vertical movement (objects can't go through floor)
+// - Horizontal sliding has friction based on object mass (simplified)
+function pushObjectsFromArm() {
+    const armBounds = getArmBounds();
+
+    for (const obj of sceneObjects) {
+        if (obj.isGripped || !isObjectNearArm(obj, armBounds)) continue;
+
+        const objPos = obj.mesh.position;
+        const halfHeight = obj.getHalfHeight();
+        const radius = obj.getRadius();
+        const floorTolerance = 0.03;
+        const onFloor = objPos.y <= halfHeight + floorTolerance;
+
+        // Check if object is in grip zone (ready to be gripped)
+        const inGripZone = isObjectInGripZone(obj);
+
+        // Accumulate all push forces
+        const pushForces = [];
+
+        // Helper to accumulate push force
+        function addPushForce(direction, penetration, source) {
+            if (penetration < 0.001) return;
+
+            const dir = direction.clone();
+
+            // For objects on floor, constrain push to horizontal plane
+            // (can push up but not down through floor)
+            if (onFloor) {
+                // Allow upward push, prevent downward
+                if (dir.y < 0) {
+                    dir.y = 0;
+                }
+            }
+
+            if (dir.lengthSq() > 0.0001) {
+                dir.normalize();
+                pushForces.push({
+                    direction: dir,
+                    penetration: penetration,
+                    source: source
+                });
+            }
+        }
+
+        // Check GRIPPER collision
+        const gripperCol = checkGripperMeshCollision(obj);
+
+        if (gripperCol.collision) {
+            // If both fingers are touching AND object is centered, this is gripping
+            const isActiveGrip = inGripZone && gripperCol.bothContact;
+
+            if (!isActiveGrip) {
+                // Single finger or off-center contact = push
+                if (gripperCol.leftCollision?.collision && gripperCol.leftCollision.pushDirection) {
+                    addPushForce(
+                        gripperCol.leftCollision.pushDirection,
+                        gripperCol.leftPenetration,
+                        'left_finger'
+                    );
+                }
+                if (gripperCol.rightCollision?.collision && gripperCol.rightCollision.pushDirection) {
+                    addPushForce(
+                        gripperCol.rightCollision.pushDirection,
+                        gripperCol.rightPenetration,
+                        'right_finger'
+                    );
+                }
+            }
+        }
+
+        // Check ARM segments collision (mesh-based)
+        const armMeshCol = checkArmMeshCollision(obj);
+        if (armMeshCol.collision) {
+            const pushDir = armMeshCol.pushDirection || armMeshCol.separationAxis;
+            if (pushDir) {
+                addPushForce(pushDir, armMeshCol.penetration, armMeshCol.mesh?.name || 'arm');
+            }
+        }
+
+        // Check ARM segments collision (geometry-based backup)
+        const armSegCol = checkArmObjectCollision(obj);
+        if (armSegCol.collision && armSegCol.point) {
+            const isGripperSeg = armSegCol.segment?.name === 'gripper';
+            if (!(isGripperSeg && inGripZone)) {
+                // Push direction from contact point toward object center
+                const pushDir = objPos.clone().sub(armSegCol.point);
+                addPushForce(pushDir, armSegCol.penetration, armSegCol.segment?.name || 'segment');
+            }
+        }
+
+        // Apply accumulated forces
+        if (pushForces.length > 0) {
+            // Combine all push directions weighted by penetration
+            const combinedPush = new THREE.Vector3(0, 0, 0);
+            let totalWeight = 0;
+            let maxPenetration = 0;
+
+            for (const force of pushForces) {
+                const weight = force.penetration;
+                combinedPush.add(force.direction.clone().multiplyScalar(weight));
+                totalWeight += weight;
+                maxPenetration = Math.max(maxPenetration, force.penetration);
+            }
+
+            if (totalWeight > 0 && combinedPush.lengthSq() > 0.0001) {
+                combinedPush.normalize();
+                obj.wake();
+
+                // Position correction - push object out of arm's way
+                // Use aggressive correction to ensure separation
+                const separationStrength = Math.max(maxPenetration * 4.0, 0.02);
+                obj.mesh.position.add(combinedPush.clone().multiplyScalar(separationStrength));
+
+                // Velocity impulse for realistic physics
+                const impulseStrength = Math.min(maxPenetration * 20, 5.0);
+                obj.velocity.add(combinedPush.clone().multiplyScalar(impulseStrength));
+
+                // Small random perturbation to prevent getting stuck
+                if (maxPenetration > 0.005) {
+                    obj.velocity.x += (random() - 0.5) * 0.2;
+                    obj.velocity.z += (random() - 0.5) * 0.2;
+                }
+            }
+
+            // Keep object above floor
+            if (obj.mesh.position.y < halfHeight) {
+                obj.mesh.position.y = halfHeight;
+                if (obj.velocity.y < 0) obj.velocity.y = 0;
+            }
+        }
+    }
+}
+
+// Check collision between gripper finger surfaces and object
+// Returns collision info including minimum openness to avoid penetration
+function checkGripperFingerCollision(obj) {
+    const objPos = obj.mesh.position;
+    const radius = obj.getRadius();
+    const halfHeight = obj.getHalfHeight();
+
+    // Get gripper group world transform
+    robotArm.gripperGroup.updateWorldMatrix(true, false);
+
+    // Get gripper center (at finger tips)
+    const gripperCenter = getGripperCenter();
+
+    // Get gripper's local axes in world space
+    const gripperXAxis = new THREE.Vector3(1, 0, 0);
+    const gripperYAxis = new THREE.Vector3(0, 1, 0);
+    const gripperZAxis = new THREE.Vector3(0, 0, 1);
+    gripperXAxis.applyQuaternion(robotArm.gripperGroup.getWorldQuaternion(new THREE.Quaternion()));
+    gripperYAxis.applyQuaternion(robotArm.gripperGroup.getWorldQuaternion(new THREE.Quaternion()));
+    gripperZAxis.applyQuaternion(robotArm.gripperGroup.getWorldQuaternion(new THREE.Quaternion()));
+
+    // Position of object relative to gripper center, projected onto gripper axes
+    const relPos = objPos.clone().sub(gripperCenter);
+    const objX = relPos.dot(gripperXAxis);  // Left-right in gripper space
+    const objY = relPos.dot(gripperYAxis);  // Along finger length (negative = toward base)
+    const objZ = relPos.dot(gripperZAxis);  // Forward-back
+
+    // Gripper geometry constants - adjusted for GLB model
+    const clampLength = CONFIG.segments.gripperLength;
+    const clampDepth = 0.15;  // Increased for more forgiving Z range
+    const padInnerOffset = 0.01;  // Reduced for GLB model compatibility
+    const minOffset = 0.03;
+    const maxOffset = 0.12;
+
+    // Current finger positions
+    const currentOffset = minOffset + (maxOffset - minOffset) * (gripperOpenness / 100);
+    const leftFingerInnerX = -currentOffset + padInnerOffset;   // Left finger inner surface X
+    const rightFingerInnerX = currentOffset - padInnerOffset;   // Right finger inner surface X
+
+    // Object edges in gripper X space
+    const objLeftEdge = objX - radius;
+    const objRightEdge = objX + radius;
+
+    // Check if object is within grippable region
+    // Y range: finger tips at 0, base at -clampLength (negative direction)
+    const objTopY = objY - halfHeight;
+    const objBottomY = objY + halfHeight;
+    const inYRange = objBottomY > -clampLength && objTopY < 0;
+
+    // Z range: object must be within gripper depth
+    const inZRange = Math.abs(objZ) < (clampDepth / 2 + radius);
+
+    // X range: check if object is within the gripper's potential closing path
+    // Use the maximum finger span (fully open) to check if object could ever be gripped
+    const maxLeftFingerInnerX = -maxOffset + padInnerOffset;   // Left finger at max open
+    const maxRightFingerInnerX = maxOffset - padInnerOffset;   // Right finger at max open
+
+    // Object must be within the maximum gripper span to be considered
+    const inXRange = objLeftEdge < maxRightFingerInnerX && objRightEdge > maxLeftFingerInnerX;
+
+    if (!inYRange || !inZRange || !inXRange) {
+        return {
+            collision: false,
+            minOpenness: 0,
+            leftContact: false,
+            rightContact: false,
+            bothContact: false
+        };
+    }
+
+    // Calculate minimum openness to avoid penetrating this object
+    // Left finger needs: -offset + padInnerOffset <= objLeftEdge
+    //   => offset >= padInnerOffset - objLeftEdge
+    // Right finger needs: offset - padInnerOffset >= objRightEdge
+    //   => offset >= objRightEdge + padInnerOffset
+
+    const requiredOffsetForLeft = padInnerOffset - objLeftEdge;
+    const requiredOffsetForRight = objRightEdge + padInnerOffset;
+    const requiredOffset = Math.max(requiredOffsetForLeft, requiredOffsetForRight);
+
+    // Convert to openness percentage
+    // Clamp between 0-100
+    let minOpenness = (requiredOffset - minOffset) / (maxOffset - minOffset) * 100;
+    minOpenness = Math.max(0, Math.min(100, minOpenness));
+
+    // Contact detection with tolerance - increased for GLB model
+    const contactThreshold = 0.02;
+
+    // Left finger contacts when its inner surface reaches the object's edge
+    const leftContact = leftFingerInnerX >= objLeftEdge - contactThreshold &&
+                        leftFingerInnerX <= objRightEdge + contactThreshold;
+
+    // Right finger contacts when its inner surface reaches the object's edge
+    const rightContact = rightFingerInnerX <= objRightEdge + contactThreshold &&
+                         rightFingerInnerX >= objLeftEdge - contactThreshold;
+
+    return {
+        collision: minOpenness > gripperOpenness,  // Only collision if we'd need to be more open
+        minOpenness: minOpenness,
+        leftContact: leftContact,
+        rightContact: rightContact,
+        bothContact: leftContact && rightContact,
+        inGripZone: inYRange && inZRange && inXRange  // Object is in the grippable zone
+    };
+}
+
+// Check if object is properly positioned between gripper claws for gripping
+// This determines whether the gripper can successfully grip the object
+// vs just pushing it or colliding with it
+//
+// Returns true if:
+// 1. Object center is between the fingers (X axis in gripper space)
+// 2. Object is within finger length (Y axis - along fingers)
+// 3. Object is within gripper depth (Z axis - front/back)
+// 4. Object would fit when gripper closes (not too wide)
+function isObjectInGripZone(obj) {
+    const objPos = obj.mesh.position;
+    const radius = obj.getRadius();
+    const halfHeight = obj.getHalfHeight();
+
+    // Get gripper world transform
+    robotArm.gripperGroup.updateWorldMatrix(true, false);
+    const gripperCenter = getGripperCenter();
+
+    // Get gripper local axes in world space
+    const gripperQuat = new THREE.Quaternion();
+    robotArm.gripperGroup.getWorldQuaternion(gripperQuat);
+
+    const gripperXAxis = new THREE.Vector3(1, 0, 0).applyQuaternion(gripperQuat); // Left-right
+    const gripperYAxis = new THREE.Vector3(0, 1, 0).applyQuaternion(gripperQuat); // Along fingers
+    const gripperZAxis = new THREE.Vector3(0, 0, 1).applyQuaternion(gripperQuat); // Forward-back
+
+    // Object position relative to gripper center
+    const relPos = objPos.clone().sub(gripperCenter);
+    const objX = relPos.dot(gripperXAxis);  // Left-right in gripper space
+    const objY = relPos.dot(gripperYAxis);  // Along finger length
+    const objZ = relPos.dot(gripperZAxis);  // Front-back
+
+    // Gripper geometry
+    const minOffset = 0.03;   // Minimum finger separation (closed)
+    const maxOffset = 0.12;   // Maximum finger separation (open)
+    const clampLength = CONFIG.segments.gripperLength;
+    const gripperDepth = 0.10; // How deep the gripper is (Z range)
+
+    // Current finger separation based on openness
+    const currentOffset = minOffset + (maxOffset - minOffset) * (gripperOpenness / 100);
+
+    // Check 1: Object center must be reasonably centered in X
+    // Allow some tolerance for off-center objects
+    const maxCenterOffset = currentOffset * 0.5; // Object can be up to 50% off-center
+    const isCentered = Math.abs(objX) < maxCenterOffset;
+
+    // Check 2: Object must fit between fingers when they close
+    // Object diameter must be less than minimum finger separation
+    const objectDiameter = radius * 2;
+    const minGripWidth = minOffset * 1.8; // Slightly less than fully closed (pads have thickness)
+    const maxGripWidth = maxOffset * 2;   // Maximum grip width
+    const fitsInGripper = objectDiameter >= minGripWidth * 0.3 && objectDiameter <= maxGripWidth * 0.9;
+
+    // Check 3: Object is within finger length (Y range)
+    // Fingers extend from Y=0 (tips) to Y=-clampLength (base)
+    const fingerTolerance = halfHeight * 0.5;
+    const inYRange = objY > -clampLength - fingerTolerance && objY < halfHeight + fingerTolerance;
+
+    // Check 4: Object is within gripper depth (Z range)
+    const depthTolerance = radius * 0.5;
+    const inZRange = Math.abs(objZ) < gripperDepth + depthTolerance;
+
+    // Check 5: Object is currently between the fingers (not overlapping finger positions)
+    // Object edges in X should be within current finger positions
+    const objLeftEdge = objX - radius;
+    const objRightEdge = objX + radius;
+    const leftFingerPos = -currentOffset;
+    const rightFingerPos = currentOffset;
+    const betweenFingers = objLeftEdge > leftFingerPos - 0.01 && objRightEdge < rightFingerPos + 0.01;
+
+    // All conditions must be met for proper grip zone
+    return isCentered && fitsInGripper && inYRange && inZRange && betweenFingers;
+}
+
+function gripObject(obj) {
+    if (obj.isGripped || grippedObject) return;
+
+    obj.isGripped = true;
+    grippedObject = obj;
+    obj.wake();
+    // Anything resting on it must notice it is gone
+    wakeObjectsNear(obj);
+
+    // Get gripper world position and rotation
+    const gripperCenter = getGripperCenter();
+    const gripperQuat = new THREE.Quaternion();
+    robotArm.gripperGroup.getWorldQuaternion(gripperQuat);
+    const gripperQuatInv = gripperQuat.clone().invert();
+
+    // Store offset in gripper's LOCAL coordinate system
+    const worldOffset = obj.mesh.position.clone().sub(gripperCenter);
+    obj.grippedOffset = worldOffset.applyQuaternion(gripperQuatInv);
+
+    // Store rotation relative to gripper
+    obj.grippedRotation = obj.mesh.quaternion.clone().premultiply(gripperQuatInv);
+
+    // Stop any velocity
+    obj.velocity.set(0, 0, 0);
+    obj.angularVelocity.set(0, 0, 0);
+
+    // Calculate target gripper openness to fit snugly around object
+    const objectWidth = obj.getRadius() * 2;
+    const minOffset = 0.03;
+    const maxOffset = 0.12;
+    const fingerPadding = 0.015; // 15mm padding on each side
+    const targetOffset = (objectWidth / 2) + fingerPadding;
+    const finalOpenness = ((targetOffset - minOffset) / (maxOffset - minOffset)) * 100;
+
+    // Set TARGET openness - animation will smoothly close to this value
+    targetGripperOpenness = Math.max(5, Math.min(100, finalOpenness));
+    // Keep animation running to smoothly close
+    gripperAnimating = true;
+
+    gripMotion = null;
+    terminal.print(`Gripped ${obj.name}`, 'success');
+}
+
+// Motion of the held object over the last steps, measured while the arm
+// moves: { position, velocity, quaternion, angularVelocity, acceleration,
+// angularAcceleration } (m, s, rad). null while nothing is held.
+let gripMotion = null;
+
+// Friction the finger pads can apply (two pads squeezing with
+// CONFIG.gripper.force) against the force needed to hold the object, in N.
+// The pads carry its weight plus whatever accelerates it along with the arm.
+// A negative margin means the object slips
+function getGripHold(obj) {
+    // Pads and object meet halfway, like two objects in contact
+    const friction = Math.sqrt(CONFIG.gripper.friction * obj.friction);
+    const available = 2 * friction * CONFIG.gripper.force;
+
+    const motion = obj.isGripped ? gripMotion : null;
+    const acceleration = new THREE.Vector3(0, GRAVITY, 0);
+    if (motion) acceleration.add(motion.acceleration);
+    let needed = obj.mass * acceleration.length();
+    // Spinning it up takes torque, passed on by friction about its radius
+    if (motion) needed += obj.mass * obj.getInertia() * motion.angularAcceleration / obj.getRadius();
+
+    return { friction, available, needed, margin: available - needed };
+}
+
+// "holding it takes 50.6 N of friction, the pads give 50.6 N (0.04 N short)"
+// The shortfall keeps a significant digit however small it is
+function describeGripShortfall(hold) {
+    const short = -hold.margin;
+    const shortText = short < 0.1 ? short.toPrecision(1) : short.toFixed(1);
+    return `holding it takes ${hold.needed.toFixed(1)} N of friction, the pads give ${hold.available.toFixed(1)} N (${shortText} N short)`;
+}
+
+// Measure the held object's motion after each step and let it slip out
+// when the pads cannot hold it. Between moves the arm is still, so the
+// measurement starts over (a pose set without animation is not a swing).
+function updateGripLoad(deltaTime) {
+    const obj = grippedObject;
+    if (!obj) return;
+
+    const position = obj.mesh.position.clone();
+    const quaternion = obj.mesh.quaternion.clone();
+    if (!isAnimating || !gripMotion) {
+        gripMotion = {
+            position, quaternion,
+            velocity: new THREE.Vector3(), angularVelocity: new THREE.Vector3(),
+            acceleration: new THREE.Vector3(), angularAcceleration: 0
+        };
+    } else {
+        const velocity = position.clone().sub(gripMotion.position).divideScalar(deltaTime);
+        // Rotation since the last step as an axis-angle rate
+        const turn = quaternion.clone().multiply(gripMotion.quaternion.clone().invert());
+        if (turn.w < 0) turn.set(-turn.x, -turn.y, -turn.z, -turn.w);
+        const angle = 2 * Math.acos(Math.min(1, turn.w));
+        const angularVelocity = new THREE.Vector3(turn.x, turn.y, turn.z);
+        if (angularVelocity.lengthSq() > 1e-12) angularVelocity.normalize().multiplyScalar(angle / deltaTime);
+
+        gripMotion = {
+            position, quaternion, velocity, angularVelocity,
+            acceleration: velocity.clone().sub(gripMotion.velocity).divideScalar(deltaTime),
+            angularAcceleration: angularVelocity.distanceTo(gripMotion.angularVelocity) / deltaTime
+        };
+    }
+
+    const hold = getGripHold(obj);
+    if (hold.margin < 0) {
+        terminal.print(`${obj.name} slipped out of the gripper: ${describeGripShortfall(hold)}`, 'warning');
+        // It leaves with the arm's motion, so a fast swing flings it
+        releaseObject(gripMotion);
+        // Stop closing, or the fingers would catch it again
+        targetGripperOpenness = gripperOpenness;
+    }
+}
+
+// motion: { velocity, angularVelocity } the object leaves with (a slip
+// reports itself); without it the object drops straight down
+function releaseObject(motion = null) {
+    if (!grippedObject) return;
+
+    const obj = grippedObject;
+
+    // Clear the gripped state FIRST to prevent any race conditions
+    grippedObject = null;
+    gripMotion = null;
+
+    obj.isGripped = false;
+    obj.grippedOffset = null;
+    obj.grippedRotation = null;
+
+    if (motion) {
+        obj.velocity.copy(motion.velocity);
+        obj.angularVelocity.copy(motion.angularVelocity);
+        return;
+    }
+
+    // Give a slight downward velocity when released (gravity will take over)
+    obj.velocity.set(0, -0.5, 0);
+    obj.angularVelocity.set(0, 0, 0);
+
+    terminal.print(`Released ${obj.name}`, 'info');
+}
+
+function updateGrippedObjectPosition(obj) {
+    if (!obj.isGripped || !obj.grippedOffset) return;
+
+    // Get gripper world position and rotation
+    const gripperCenter = getGripperCenter();
+    const gripperQuat = new THREE.Quaternion();
+    robotArm.gripperGroup.getWorldQuaternion(gripperQuat);
+
+    // Apply stored offset rotated by current gripper orientation
+    const rotatedOffset = obj.grippedOffset.clone().applyQuaternion(gripperQuat);
+    obj.mesh.position.copy(gripperCenter).add(rotatedOffset);
+
+    // Update rotation to match gripper
+    obj.mesh.quaternion.copy(gripperQuat).multiply(obj.grippedRotation);
+}
+
+// ----------------------------------------------------------------------------
+// Object-to-object contacts
+// ----------------------------------------------------------------------------
+// Objects collide as their real shapes: oriented boxes, cylinders and spheres.
+// Each shape is described by its center, local axes and extent along any
+// direction, which is all the separating axis test (SAT) needs. The axis of
+// least overlap gives the contact normal and depth; the touching features of
+// both shapes (vertex, edge or face) are then intersected in the contact
+// plane to get the contact region.
+
+const CONTACT_TOLERANCE = 0.002;  // Points this close to the deepest one touch too
+const CYLINDER_CAP_POINTS = 8;    // Cylinder ends are octagons in contact regions
+
+function getContactShape(obj) {
+    const quat = obj.mesh.quaternion;
+    return {
+        type: obj.type,
+        center: obj.mesh.position.clone(),
+        axes: [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)]
+            .map(axis => axis.applyQuaternion(quat)),
+        half: [obj.size.x / 2, obj.size.y / 2, obj.size.z / 2],
+        radius: obj.size.x / 2
+    };
+}
+
+// Half of the shape's width along a unit direction
+function getShapeExtent(shape, dir) {
+    switch (shape.type) {
+        case 'sphere':
+            return shape.radius;
+        case 'cylinder': {
+            const along = dir.dot(shape.axes[1]);
+            return Math.abs(along) * shape.half[1] + shape.radius * Math.sqrt(Math.max(0, 1 - along * along));
+        }
+        default:
+            return shape.axes.reduce((sum, axis, i) => sum + Math.abs(dir.dot(axis)) * shape.half[i], 0);
+    }
+}
+
+// Point of the shape nearest to a point (the point itself when inside)
+function getClosestShapePoint(shape, point) {
+    const offset = point.clone().sub(shape.center);
+
+    switch (shape.type) {
+        case 'sphere':
+            return offset.length() <= shape.radius ? point.clone() :
+                shape.center.clone().addScaledVector(offset.normalize(), shape.radius);
+        case 'cylinder': {
+            const axis = shape.axes[1];
+            const along = offset.dot(axis);
+            const radial = offset.clone().addScaledVector(axis, -along);
+            if (radial.length() > shape.radius) radial.setLength(shape.radius);
+            return shape.center.clone()
+                .addScaledVector(axis, Math.max(-shape.half[1], Math.min(shape.half[1], along)))
+                .add(radial);
+        }
+        default:
+            return shape.axes.reduce((closest, axis, i) =>
+                closest.addScaledVector(axis, Math.max(-shape.half[i], Math.min(shape.half[i], offset.dot(axis)))),
+            shape.center.clone());
+    }
+}
+
+// The shape's points furthest along a unit direction: one vertex, an edge's
+// two ends or a face's corners
+function getSupportFeature(shape, dir) {
+    const { center, axes, half, radius } = shape;
+    let points = [];
+
+    if (shape.type === 'sphere') {
+        return [center.clone().addScaledVector(dir, radius)];
+    }
+
+    if (shape.type === 'cylinder') {
+        const axis = axes[1];
+        const radial = dir.clone().addScaledVector(axis, -dir.dot(axis));
+        const hasRadial = radial.lengthSq() > 1e-12;
+        radial.normalize();
+
+        for (const side of [-1, 1]) {
+            const capCenter = center.clone().addScaledVector(axis, side * half[1]);
+            // Rim point exactly furthest along the direction, then the octagon
+            if (hasRadial) points.push(capCenter.clone().addScaledVector(radial, radius));
+            for (let i = 0; i < CYLINDER_CAP_POINTS; i++) {
+                const angle = i * 2 * Math.PI / CYLINDER_CAP_POINTS;
+                points.push(capCenter.clone()
+                    .addScaledVector(axes[0], radius * Math.cos(angle))
+                    .addScaledVector(axes[2], radius * Math.sin(angle)));
+            }
+        }
+    } else {
+        for (const x of [-1, 1]) {
+            for (const y of [-1, 1]) {
+                for (const z of [-1, 1]) {
+                    points.push(center.clone()
+                        .addScaledVector(axes[0], x * half[0])
+                        .addScaledVector(axes[1], y * half[1])
+                        .addScaledVector(axes[2], z * half[2]));
+                }
+            }
+        }
+    }
+
+    const furthest = Math.max(...points.map(point => point.dot(dir)));
+    points = points.filter(point => point.dot(dir) > furthest - CONTACT_TOLERANCE);
+    // An exact rim point can coincide with an octagon corner
+    return points.filter((point, i) => points.findIndex(other => other.distanceToSquared(point) < 1e-10) === i);
+}
+
+// Order coplanar 2D points around their middle so they form a convex polygon
+function orderConvexPolygon(points) {
+    const middle = points.reduce((sum, point) => sum.add(point), new THREE.Vector2()).divideScalar(points.length);
+    return points.slice().sort((a, b) =>
+        Math.atan2(a.y - middle.y, a.x - middle.x) - Math.atan2(b.y - middle.y, b.x - middle.x));
+}
+
+// Signed area test: positive when point lies left of the edge a -> b
+function edgeSide(a, b, point) {
+    return (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+}
+
+// Part of a 2D point, segment or polygon inside a convex polygon (Sutherland-Hodgman)
+function clipToConvexPolygon(subject, clip) {
+    let output = subject;
+    for (let i = 0; i < clip.length && output.length > 0; i++) {
+        const a = clip[i];
+        const b = clip[(i + 1) % clip.length];
+        const input = output;
+        output = [];
+        for (let j = 0; j < input.length; j++) {
+            const p = input[j];
+            const q = input[(j + 1) % input.length];
+            const sideP = edgeSide(a, b, p);
+            const sideQ = edgeSide(a, b, q);
+            if (sideP >= -1e-9) output.push(p);
+            if ((sideP >= -1e-9) !== (sideQ >= -1e-9)) output.push(p.clone().lerp(q, sideP / (sideP - sideQ)));
+        }
+    }
+    return output;
+}
+
+// Nearest point of a segment to a point, in 2D
+function closestPointOnSegment2D(a, b, point) {
+    const edge = b.clone().sub(a);
+    const lengthSq = edge.lengthSq();
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, point.clone().sub(a).dot(edge) / lengthSq)) : 0;
+    return a.clone().addScaledVector(edge, t);
+}
+
+// Where two 2D segments touch: their overlap when parallel, their crossing,
+// or otherwise the middle of their nearest points
+function intersectSegments2D(a0, a1, b0, b1) {
+    const da = a1.clone().sub(a0);
+    const db = b1.clone().sub(b0);
+    const denominator = da.cross(db);
+
+    if (Math.abs(denominator) < 1e-6 * da.length() * db.length()) {
+        const lengthSq = da.lengthSq();
+        const tb0 = b0.clone().sub(a0).dot(da) / lengthSq;
+        const tb1 = b1.clone().sub(a0).dot(da) / lengthSq;
+        const start = Math.max(0, Math.min(tb0, tb1));
+        const end = Math.min(1, Math.max(tb0, tb1));
+        if (start <= end) return [a0.clone().addScaledVector(da, start), a0.clone().addScaledVector(da, end)];
+    } else {
+        const offset = b0.clone().sub(a0);
+        const s = offset.cross(db) / denominator;
+        const t = offset.cross(da) / denominator;
+        if (s >= 0 && s <= 1 && t >= 0 && t <= 1) return [a0.clone().addScaledVector(da, s)];
+    }
+
+    const pairs = [
+        [a0, closestPointOnSegment2D(b0, b1, a0)], [a1, closestPointOnSegment2D(b0, b1, a1)],
+        [b0, closestPointOnSegment2D(a0, a1, b0)], [b1, closestPointOnSegment2D(a0, a1, b1)]
+    ];
+    const [p, q] = pairs.reduce((best, pair) => pair[0].distanceToSquared(pair[1]) < best[0].distanceToSquared(best[1]) ? pair : best);
+    return [p.clone().lerp(q, 0.5)];
+}
+
+// Nearest point of a 2D contact region (point, segment or convex polygon)
+function closestPointInRegion2D(region, point) {
+    const inside = region.length >= 3 &&
+        region.every((a, i) => edgeSide(a, region[(i + 1) % region.length], point) >= -1e-9);
+    if (inside) return point.clone();
+
+    let closest = region[0].clone();
+    for (let i = 0; i < region.length; i++) {
+        const candidate = closestPointOnSegment2D(region[i], region[(i + 1) % region.length], point);
+        if (candidate.distanceToSquared(point) < closest.distanceToSquared(point)) closest = candidate;
+    }
+    return closest;
+}
+
+// Contact between two objects as { normal, depth, point, offsetA, offsetB },
+// or null if they do not touch. The normal points from A to B; the offsets
+// are, for each object, the point of the contact region nearest its center,
+// relative to that center (where the contact pushes it)
+function computeObjectContact(objA, objB) {
+    const FACE_PREFERENCE = 1e-4;  // Edge axes must beat face axes by this much (m)
+
+    const a = getContactShape(objA);
+    const b = getContactShape(objB);
+    const offset = b.center.clone().sub(a.center);
+
+    // Face normals and cylinder axes first, so they win ties
+    const directions = shape => shape.type === 'cube' ? shape.axes :
+        shape.type === 'cylinder' ? [shape.axes[1]] : [];
+    const candidates = [...directions(a), ...directions(b), offset.clone()];
+    for (const [shape, other] of [[a, b], [b, a]]) {
+        // Curved surfaces separate along the line to the other shape's nearest point
+        if (shape.type !== 'cube') {
+            candidates.push(shape.center.clone().sub(getClosestShapePoint(other, shape.center)));
+        }
+        if (shape.type === 'cylinder') {
+            candidates.push(offset.clone().addScaledVector(shape.axes[1], -offset.dot(shape.axes[1])));
+        }
+    }
+    for (const dirA of directions(a)) {
+        for (const dirB of directions(b)) {
+            candidates.push(new THREE.Vector3().crossVectors(dirA, dirB));
+        }
+    }
+
+    let best = null;
+    for (const axis of candidates) {
+        const length = axis.length();
+        if (length < 1e-6) continue;
+        axis.divideScalar(length);
+        if (axis.dot(offset) < 0) axis.negate();
+
+        const depth = getShapeExtent(a, axis) + getShapeExtent(b, axis) - axis.dot(offset);
+        if (depth <= 0) return null;
+        if (!best || depth < best.depth - FACE_PREFERENCE) best = { normal: axis, depth };
+    }
+    // Concentric spheres have no preferred direction
+    if (!best) {
+        const normal = new THREE.Vector3(0, 1, 0);
+        best = { normal, depth: getShapeExtent(a, normal) + getShapeExtent(b, normal) };
+    }
+    const { normal, depth } = best;
+
+    // Work in the contact plane
+    const u = new THREE.Vector3(Math.abs(normal.y) < 0.9 ? 0 : 1, Math.abs(normal.y) < 0.9 ? 1 : 0, 0)
+        .cross(normal).normalize();
+    const v = new THREE.Vector3().crossVectors(normal, u);
+    const toPlane = point => new THREE.Vector2(point.dot(u), point.dot(v));
+
+    const featureA = getSupportFeature(a, normal);
+    const featureB = getSupportFeature(b, normal.clone().negate());
+    const level = (Math.max(...featureA.map(point => point.dot(normal))) +
+        Math.min(...featureB.map(point => point.dot(normal)))) / 2;
+    const flatA = orderConvexPolygon(featureA.map(toPlane));
+    const flatB = orderConvexPolygon(featureB.map(toPlane));
+
+    let region;
+    if (flatA.length === 1 || flatB.length === 1) {
+        region = flatB.length === 1 ? flatB : flatA;
+    } else if (flatA.length === 2 && flatB.length === 2) {
+        region = intersectSegments2D(flatA[0], flatA[1], flatB[0], flatB[1]);
+    } else {
+        region = flatA.length >= 3 ? clipToConvexPolygon(flatB, flatA) : clipToConvexPolygon(flatA, flatB);
+        // Rounded shapes are approximated by polygons; fall back to the smaller feature
+        if (region.length === 0) region = flatA.length < flatB.length ? flatA : flatB;
+    }
+
+    const toWorld = point => u.clone().multiplyScalar(point.x).addScaledVector(v, point.y).addScaledVector(normal, level);
+    const regionOffset = center => toWorld(closestPointInRegion2D(region, toPlane(center))).sub(center);
+    const middle = region.reduce((sum, point) => sum.add(point), new THREE.Vector2()).divideScalar(region.length);
+
+    return {
+        normal,
+        depth,
+        point: toWorld(middle),
+        offsetA: regionOffset(a.center),
+        offsetB: regionOffset(b.center)
+    };
+}
+
+// Pairs of objects whose bounding spheres (grown by margin) overlap. Sweep
+// and prune: sorted by their extent along x, each object is only compared
+// with those whose x ranges it overlaps. Pairs of sleeping objects are left
+// out, since neither will move
+function findCollisionPairs(objects, margin) {
+    const pairs = [];
+    const mayTouch = (a, b) => {
+        if (a.sleeping && b.sleeping) return false;
+        const reach = a.getBoundingRadius() + b.getBoundingRadius() + margin;
+        return a.mesh.position.distanceToSquared(b.mesh.position) <= reach * reach;
+    };
+
+    if (!CONFIG.physics.sweepAndPrune) {
+        for (let i = 0; i < objects.length; i++) {
+            for (let j = i + 1; j < objects.length; j++) {
+                if (mayTouch(objects[i], objects[j])) pairs.push([objects[i], objects[j]]);
+            }
+        }
+        return pairs;
+    }
+
+    const intervals = objects.map(obj => {
+        const reach = obj.getBoundingRadius() + margin / 2;
+        return { obj, min: obj.mesh.position.x - reach, max: obj.mesh.position.x + reach };
+    }).sort((a, b) => a.min - b.min);
+
+    let active = [];
+    for (const interval of intervals) {
+        active = active.filter(other => other.max >= interval.min);
+        for (const other of active) {
+            if (mayTouch(other.obj, interval.obj)) pairs.push([other.obj, interval.obj]);
+        }
+        active.push(interval);
+    }
+    return pairs;
+}
+
+// Check and resolve collisions between all physics objects
+// Uses iterative position correction with velocity impulses for stable physics
+//
+// Algorithm:
+// 1. Multiple iterations to resolve interpenetration
+// 2. Separate along the contact normal from computeObjectContact
+// 3. Apply velocity impulses for realistic bouncing
+// 4. Special handling for stacking (vertical contacts)
+function resolveObjectCollisions() {
+    const iterations = 5;       // Multiple passes for stability
+    const biasFactor = 0.3;     // Position correction strength
+    const slop = 0.001;         // Penetration allowance (prevents jitter)
+    const pairMargin = 0.01;    // Room for the corrections made between iterations
+
+    // Candidate pairs are found once; the iterations only move objects a little
+    const pairs = findCollisionPairs(sceneObjects.filter(obj => !obj.isGripped), pairMargin);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        for (const [objA, objB] of pairs) {
+            const posA = objA.mesh.position;
+            const posB = objB.mesh.position;
+
+            const contact = computeObjectContact(objA, objB);
+            if (!contact || contact.depth < slop) continue;
+
+            // Only an object that was moving after the last step wakes a
+            // sleeping one it touches; one resting on it leaves it asleep
+            if (objA.sleeping && objB.restTime === 0) objA.wake();
+            if (objB.sleeping && objA.restTime === 0) objB.wake();
+
+            const halfHeightA = objA.getHalfHeight();
+            const halfHeightB = objB.getHalfHeight();
+
+            // Check floor contact
+            const aOnFloor = posA.y <= halfHeightA + 0.02;
+            const bOnFloor = posB.y <= halfHeightB + 0.02;
+
+            const normal = contact.normal;
+            const penetration = contact.depth;
+
+            // Calculate correction amount
+            const correctionMagnitude = Math.max(penetration - slop, 0) * biasFactor;
+
+            // Determine how to split correction based on constraints
+            let ratioA = 0.5;
+            let ratioB = 0.5;
+
+            if (Math.abs(normal.y) > 0.7) {
+                // Vertical collision (stacking scenario)
+                if (normal.y > 0) {
+                    // B is above A - B should move up
+                    ratioA = aOnFloor ? 0 : 0.2;
+                    ratioB = aOnFloor ? 1 : 0.8;
+                } else {
+                    // A is above B - A should move up
+                    ratioA = bOnFloor ? 1 : 0.8;
+                    ratioB = bOnFloor ? 0 : 0.2;
+                }
+            } else {
+                // Horizontal collision - equal split unless one is constrained
+                if (aOnFloor && !bOnFloor) {
+                    ratioA = 0.3;
+                    ratioB = 0.7;
+                } else if (!aOnFloor && bOnFloor) {
+                    ratioA = 0.7;
+                    ratioB = 0.3;
+                }
+            }
+
+            // The lighter object gives way more
+            const shareA = ratioA / objA.mass;
+            const shareB = ratioB / objB.mass;
+            if (shareA + shareB > 0) {
+                ratioA = shareA / (shareA + shareB);
+                ratioB = shareB / (shareA + shareB);
+            }
+
+            // Sleeping objects hold still like the floor
+            if (objA.sleeping) {
+                ratioA = 0;
+                ratioB = 1;
+            } else if (objB.sleeping) {
+                ratioA = 1;
+                ratioB = 0;
+            }
+
+            // Apply position correction
+            const correctionA = normal.clone().multiplyScalar(-correctionMagnitude * ratioA);
+            const correctionB = normal.clone().multiplyScalar(correctionMagnitude * ratioB);
+
+            posA.add(correctionA);
+            posB.add(correctionB);
+
+            // Keep objects above floor
+            if (posA.y < halfHeightA) posA.y = halfHeightA;
+            if (posB.y < halfHeightB) posB.y = halfHeightB;
+
+            // Apply velocity impulse only on first iteration. Each object is
+            // pushed at the point of the contact region nearest its center:
+            // no spin while the contact is under the center, tipping when it
+            // hangs over an edge
+            if (iter === 0) {
+                // Materials meet halfway (geometric mean): a rubber ball still
+                // bounces off steel, foam deadens anything it hits
+                const restitution = Math.sqrt(objA.restitution * objB.restitution);
+                const friction = Math.sqrt(objA.friction * objB.friction);
+                applyContactImpulse(
+                    { obj: objA, r: contact.offsetA, weight: ratioA },
+                    { obj: objB, r: contact.offsetB, weight: ratioB },
+                    normal, restitution, friction);
+
+                // Friction for stacking
+                if (Math.abs(normal.y) > 0.7) {
+                    const topObj = posA.y > posB.y ? objA : objB;
+                    const stackFriction = 0.6;
+                    topObj.velocity.x *= stackFriction;
+                    topObj.velocity.z *= stackFriction;
+
+                    // Dampen vertical velocity for resting contact
+                    if (Math.abs(topObj.velocity.y) < 0.3) {
+                        topObj.velocity.y *= 0.3;
+                    }
+                }
+            }
+        }
+    }
+}
+
+// Apply an impulse (per unit of mass) at offset r from the center
+function applyImpulse(obj, r, impulse) {
+    obj.velocity.add(impulse);
+    obj.angularVelocity.add(new THREE.Vector3().crossVectors(r, impulse).divideScalar(obj.getInertia()));
+}
+
+// Velocity of the point at offset r from an object's center
+function getPointVelocity(obj, r) {
+    return obj.velocity.clone().add(new THREE.Vector3().crossVectors(obj.angularVelocity, r));
+}
+
+// Impulses for a contact between two bodies, each { obj, r, weight } with r
+// the contact offset from its center and weight its share of the impulse
+// (like an inverse mass); bodyA is null for the floor. The normal points from
+// A to B. Stops the contact closing, bounces real impacts with the given
+// restitution, and applies Coulomb friction against sliding
+function applyContactImpulse(bodyA, bodyB, normal, restitution, friction) {
+    const BOUNCE_SPEED = 0.1;  // m/s; slower contacts just stop
+    const bodies = bodyA ? [bodyA, bodyB] : [bodyB];
+
+    const relativeVelocity = () => {
+        const velocity = getPointVelocity(bodyB.obj, bodyB.r);
+        return bodyA ? velocity.sub(getPointVelocity(bodyA.obj, bodyA.r)) : velocity;
+    };
+    // Impulse needed per unit change of relative speed along a direction
+    const effectiveMass = direction => 1 / bodies.reduce((sum, body) =>
+        sum + body.weight * (1 + new THREE.Vector3().crossVectors(body.r, direction).lengthSq() / body.obj.getInertia()), 0);
+    const push = (direction, amount) => {
+        applyImpulse(bodyB.obj, bodyB.r, direction.clone().multiplyScalar(amount * bodyB.weight));
+        if (bodyA) applyImpulse(bodyA.obj, bodyA.r, direction.clone().multiplyScalar(-amount * bodyA.weight));
+    };
+
+    const normalSpeed = relativeVelocity().dot(normal);
+    if (normalSpeed >= 0) return;
+
+    const bounce = normalSpeed < -BOUNCE_SPEED ? restitution : 0;
+    const normalImpulse = -(1 + bounce) * normalSpeed * effectiveMass(normal);
+    push(normal, normalImpulse);
+
+    const sliding = relativeVelocity();
+    sliding.addScaledVector(normal, -sliding.dot(normal));
+    const slideSpeed = sliding.length();
+    if (slideSpeed < 1e-6) return;
+
+    const tangent = sliding.divideScalar(slideSpeed);
+    push(tangent, -Math.min(slideSpeed * effectiveMass(tangent), friction * normalImpulse));
+}
+
+// Points of an object that can touch the floor, in world space: the corners
+// of a cube, the lowest rim point of each cylinder end (its center when the
+// end lies flat) and the bottom of a sphere
+function getFloorCandidatePoints(obj) {
+    const pos = obj.mesh.position;
+    const quat = obj.mesh.quaternion;
+    const half = { x: obj.size.x / 2, y: obj.size.y / 2, z: obj.size.z / 2 };
+
+    if (obj.type === 'sphere') {
+        return [new THREE.Vector3(pos.x, pos.y - half.y, pos.z)];
+    }
+
+    if (obj.type === 'cylinder') {
+        const axis = new THREE.Vector3(0, 1, 0).applyQuaternion(quat);
+        // Straight down, within the plane of the ends
+        const rim = new THREE.Vector3(0, -1, 0).addScaledVector(axis, axis.y);
+        if (rim.lengthSq() > 1e-8) {
+            rim.normalize().multiplyScalar(half.x);
+        } else {
+            rim.set(0, 0, 0);
+        }
+        return [1, -1].map(side => pos.clone().addScaledVector(axis, side * half.y).add(rim));
+    }
+
+    const corners = [];
+    for (const x of [-1, 1]) {
+        for (const y of [-1, 1]) {
+            for (const z of [-1, 1]) {
+                corners.push(new THREE.Vector3(x * half.x, y * half.y, z * half.z).applyQuaternion(quat).add(pos));
+            }
+        }
+    }
+    return corners;
+}
+
+// Push an object out of the floor and apply the contact impulses at the
+// middle of the points touching it: a face gives no spin, while a landing
+// edge or corner makes the object tip or tumble
+function resolveFloorContact(obj, restitution, friction) {
+    const points = getFloorCandidatePoints(obj);
+    const lowest = Math.min(...points.map(point => point.y));
+    if (lowest >= 0) return;
+
+    const contact = new THREE.Vector3();
+    const touching = points.filter(point => point.y < lowest + CONTACT_TOLERANCE);
+    touching.forEach(point => contact.add(point));
+    contact.divideScalar(touching.length);
+
+    const r = contact.sub(obj.mesh.position);
+    obj.mesh.position.y -= lowest;
+
+    applyContactImpulse(null, { obj, r, weight: 1 }, new THREE.Vector3(0, 1, 0), restitution, friction);
+}
+
+// Turn an object that has almost come to rest on a face (or a cylinder on
+// its side) the last few degrees flat, so it settles instead of rocking by
+// tiny amounts forever
+function settleOnFace(obj) {
+    const SETTLE_ANGLE = 3 * Math.PI / 180;
+    const SETTLE_SPEED = 0.05;  // m/s
+    const SETTLE_SPIN = 0.5;    // rad/s
+
+    if (obj.type === 'sphere') return;
+    if (obj.velocity.length() > SETTLE_SPEED || obj.angularVelocity.length() > SETTLE_SPIN) return;
+
+    const quat = obj.mesh.quaternion;
+    const localAxes = obj.type === 'cylinder' ?
+        [new THREE.Vector3(0, 1, 0)] :
+        [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+    const axes = localAxes.map(axis => axis.applyQuaternion(quat));
+
+    // Resting direction for the axis: vertical, or flat for a cylinder on its side
+    const axis = axes.reduce((best, a) => Math.abs(a.y) > Math.abs(best.y) ? a : best);
+    let target;
+    if (Math.abs(axis.y) >= Math.cos(SETTLE_ANGLE)) {
+        target = new THREE.Vector3(0, Math.sign(axis.y), 0);
+    } else if (obj.type === 'cylinder' && Math.abs(axis.y) <= Math.sin(SETTLE_ANGLE)) {
+        target = new THREE.Vector3(axis.x, 0, axis.z).normalize();
+    } else {
+        return;
+    }
+
+    const correction = new THREE.Quaternion().setFromUnitVectors(axis, target);
+    quat.slerp(correction.multiply(quat), 0.2);
+
+    // Drop the rocking motion; spinning about the vertical (or rolling) stays
+    const rocking = obj.type === 'cylinder' && target.y === 0 ?
+        new THREE.Vector3().crossVectors(target, new THREE.Vector3(0, 1, 0)).normalize() : null;
+    if (rocking) {
+        obj.angularVelocity.addScaledVector(rocking, -obj.angularVelocity.dot(rocking));
+    } else {
+        obj.angularVelocity.x = 0;
+        obj.angularVelocity.z = 0;
+    }
+}
+
+// Objects that stay nearly still for CONFIG.physics.sleepDelay fall asleep:
+// physics skips them until a moving object, the arm or a grip wakes them
+function isObjectResting(obj) {
+    const SLEEP_SPEED = 0.05;  // m/s
+    const SLEEP_SPIN = 0.1;    // rad/s
+    return obj.velocity.length() < SLEEP_SPEED && obj.angularVelocity.length() < SLEEP_SPIN;
+}
+
+function updateSleep(obj, dt) {
+    if (!isObjectResting(obj)) {
+        obj.restTime = 0;
+        return;
+    }
+
+    obj.restTime += dt;
+    if (obj.restTime >= CONFIG.physics.sleepDelay) {
+        obj.sleeping = true;
+        obj.velocity.set(0, 0, 0);
+        obj.angularVelocity.set(0, 0, 0);
+    }
+}
+
+// Wake sleeping objects that may touch obj (after it is gripped or removed)
+function wakeObjectsNear(obj) {
+    const WAKE_MARGIN = 0.01;
+    for (const other of sceneObjects) {
+        if (other === obj || !other.sleeping) continue;
+        const reach = obj.getBoundingRadius() + other.getBoundingRadius() + WAKE_MARGIN;
+        if (other.mesh.position.distanceToSquared(obj.mesh.position) <= reach * reach) other.wake();
+    }
+}
+
+function updatePhysics(deltaTime) {
+    // Cap deltaTime to prevent huge jumps and ensure stability
+    // Use fixed timestep substeps for consistent physics
+    const maxDeltaTime = 0.02;  // 20ms max per substep
+    const substeps = Math.ceil(deltaTime / maxDeltaTime);
+    const dt = deltaTime / substeps;
+
+    // Physics constants (tuned for realistic behavior)
+    const AIR_RESISTANCE = 0.5;       // Quadratic drag coefficient
+    const LINEAR_DAMPING = 0.995;     // Linear velocity damping per frame
+    const VELOCITY_THRESHOLD = 0.002; // Below this, snap to zero
+    const ANGULAR_DAMPING = 0.98;     // Angular velocity damping per frame
+    const SPIN_THRESHOLD = 0.01;      // rad/s; below this, snap to zero
+
+    for (let step = 0; step < substeps; step++) {
+        for (const obj of sceneObjects) {
+            if (obj.isGripped) {
+                updateGrippedObjectPosition(obj);
+                continue;
+            }
+            if (obj.sleeping) continue;
+
+            const objPos = obj.mesh.position;
+
+            // Apply gravity (F = ma, a = g, so dv = g * dt)
+            obj.velocity.y -= GRAVITY * dt;
+
+            // Apply air resistance (quadratic drag: F_drag = 0.5 * C * v^2)
+            const speed = obj.velocity.length();
+            if (speed > 0.01) {
+                const dragDecel = AIR_RESISTANCE * speed * dt;
+                const dragFactor = Math.max(0.9, 1 - dragDecel / speed);
+                obj.velocity.multiplyScalar(dragFactor);
+            }
+
+            // Linear damping (simulates energy loss)
+            obj.velocity.multiplyScalar(LINEAR_DAMPING);
+
+            obj.angularVelocity.multiplyScalar(ANGULAR_DAMPING);
+
+            // Integrate position (semi-implicit Euler)
+            objPos.x += obj.velocity.x * dt;
+            objPos.y += obj.velocity.y * dt;
+            objPos.z += obj.velocity.z * dt;
+
+            // Integrate orientation
+            const spin = obj.angularVelocity.length();
+            if (spin > 0) {
+                const axis = obj.angularVelocity.clone().divideScalar(spin);
+                obj.mesh.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(axis, spin * dt)).normalize();
+            }
+
+            // Floor collision: bounce, friction and torque at the contact point,
+            // with the object's own material
+            resolveFloorContact(obj, obj.restitution, obj.friction);
+            settleOnFace(obj);
+
+            // Snap tiny velocities to zero (prevents drift and improves stability)
+            if (Math.abs(obj.velocity.x) < VELOCITY_THRESHOLD) obj.velocity.x = 0;
+            if (Math.abs(obj.velocity.y) < VELOCITY_THRESHOLD) obj.velocity.y = 0;
+            if (Math.abs(obj.velocity.z) < VELOCITY_THRESHOLD) obj.velocity.z = 0;
+            if (obj.angularVelocity.length() < SPIN_THRESHOLD) obj.angularVelocity.set(0, 0, 0);
+
+            // Clamp maximum velocity to prevent instability
+            const maxVelocity = 10.0; // 10 m/s max
+            if (obj.velocity.length() > maxVelocity) {
+                obj.velocity.normalize().multiplyScalar(maxVelocity);
+            }
+            const maxSpin = 50.0; // rad/s
+            if (obj.angularVelocity.length() > maxSpin) {
+                obj.angularVelocity.normalize().multiplyScalar(maxSpin);
+            }
+        }
+
+        // Resolve object-to-object collisions after each substep
+        resolveObjectCollisions();
+
+        // Judge stillness once contacts have cancelled gravity
+        if (CONFIG.physics.sleeping) {
+            for (const obj of sceneObjects) {
+                if (!obj.isGripped && !obj.sleeping) updateSleep(obj, dt);
+            }
+        }
+    }
+
+    // Push objects from stationary arm (when not animating)
+    // This handles cases where objects are dropped onto the arm
+    if (!isAnimating) {
+        pushObjectsFromArm();
+    }
+}
+
+// ============================================================================
+// KINEMATICS
+// ============================================================================
+
+function setJointAngles(base, shoulder, elbow, wrist, animated = true) {
+    // Convert to radians and clamp to limits
+    const baseRad = clampAngle(base, CONFIG.limits.base) * Math.PI / 180;
+    const shoulderRad = clampAngle(shoulder, CONFIG.limits.shoulder) * Math.PI / 180;
+    const elbowRad = clampAngle(elbow, CONFIG.limits.elbow) * Math.PI / 180;
+    const wristRad = clampAngle(wrist, CONFIG.limits.wrist) * Math.PI / 180;
+
+    if (animated) {
+        targetAngles.base = baseRad;
+        targetAngles.shoulder = shoulderRad;
+        targetAngles.elbow = elbowRad;
+        targetAngles.wrist = wristRad;
+        startAnimation();
+    } else {
+        jointAngles.base = baseRad;
+        jointAngles.shoulder = shoulderRad;
+        jointAngles.elbow = elbowRad;
+        jointAngles.wrist = wristRad;
+        applyJointAngles();
+    }
+}
+
+function clampAngle(angle, limits) {
+    return Math.max(limits.min, Math.min(limits.max, angle));
+}
+
+function applyJointAngles() {
+    robotArm.basePivot.rotation.y = jointAngles.base;
+    robotArm.shoulderPivot.rotation.z = jointAngles.shoulder;
+    robotArm.elbowPivot.rotation.z = jointAngles.elbow;
+    robotArm.wristPivot.rotation.z = jointAngles.wrist;
+    robotArm.wristRotatePivot.rotation.y = jointAngles.wristRotate;
+
+    view.updateJoints();
+}
+
+// Apply gripper openness to finger positions
+// 0 = fully closed (fingers together), 100 = fully open (fingers spread)
+function applyGripperOpenness() {
+    if (!robotArm.leftFinger || !robotArm.rightFinger) return;
+
+    // Map 0-100 to finger X positions
+    // Closed: fingers at ±0.03 (space for grip pads)
+    // Open: fingers at ±0.12 (spread wide)
+    const minOffset = 0.03;
+    const maxOffset = 0.12;
+    const offset = minOffset + (maxOffset - minOffset) * (gripperOpenness / 100);
+
+    robotArm.leftFinger.position.x = -offset;
+    robotArm.rightFinger.position.x = offset;
+}
+
+// Set gripper openness with animation
+function setGripperOpenness(percent, animated = true) {
+    const clampedPercent = Math.max(0, Math.min(100, percent));
+
+    // If we have a gripped object and we're opening the gripper, release it
+    if (grippedObject && clampedPercent > gripperOpenness + 1) {
+        releaseObject();
+    }
+
+    if (animated) {
+        targetGripperOpenness = clampedPercent;
+        gripperAnimating = true;  // Always start animation
+    } else {
+        gripperOpenness = clampedPercent;
+        targetGripperOpenness = clampedPercent;
+        gripperAnimating = false;
+        applyGripperOpenness();
+    }
+}
+
+function getEndEffectorPosition() {
+    // Update world matrix
+    robotArm.endEffectorMarker.updateWorldMatrix(true, false);
+    const position = new THREE.Vector3();
+    robotArm.endEffectorMarker.getWorldPosition(position);
+    // Convert from Three.js (Y-up) to robotics convention (Z-up)
+    // Return as { x, y, z } where z is height
+    return {
+        x: position.x,
+        y: position.z,
+        z: position.y
+    };
+}
+
+// Closed-form Inverse Kinematics solver
+// Uses robotics convention: X = left/right, Y = forward/backward, Z = height (up)
+// Targets the GRIPPER TIP position. By default the gripper points straight down;
+// options.pitch / options.roll request a full tool pose instead.
+//
+// COORDINATE SYSTEM:
+// - In Three.js, rotation.z = 0 means arm points straight UP (along +Y)
+// - rotation.z = θ tilts the arm θ radians FROM VERTICAL
+// - Tool direction (cumulative angle) = shoulder + elbow + wrist
+// - Gripper pointing down: cumulative = π (180°)
+//
+// TOOL POSE:
+// - pitch: tool tilt in degrees away from straight down (0 = down,
+//   90 = horizontal pointing away from the base, -90 = pointing back toward it)
+// - roll: wrist rotation around the tool axis in degrees
+// - Yaw is fixed by the base rotation (5 DOF arm)
+//
+// BRANCH SELECTION:
+// - options.elbow = 'up' | 'down' forces that branch
+// - Otherwise the valid branch with the least weighted joint travel from the
+//   current pose is chosen (avoids flipping the arm between nearby targets)
+//
+// 2D IK GEOMETRY (in vertical plane after base rotation):
+// - r = horizontal distance from base axis
+// - h = height relative to shoulder pivot
+// - Angles measured from VERTICAL (not horizontal!)
+function solveIKClosedForm(targetX, targetY, targetZ, options = {}) {
+    const { pitch = null, roll = null, elbow = null, from = jointAngles } = options;
+    const hasPose = pitch !== null;
+
+    // Arm segment lengths
+    const L1 = CONFIG.segments.shoulderLength;  // Upper arm: 1.5 units
+    const L2 = CONFIG.segments.elbowLength;     // Lower arm: 1.5 units
+    // L3 = distance from wrist pivot to clamp tips
+    const L3 = CONFIG.segments.wristLength + 0.06 + CONFIG.segments.gripperLength;
+    const baseHeight = CONFIG.segments.baseHeight + 0.15; // Shoulder pivot height
+
+    const armReach = L1 + L2;
+    const poseLabel = hasPose ? `tool pitch ${Number(pitch.toFixed(1))}°` : 'gripper pointing down';
+
+    // Check bounds - don't allow below floor
+    if (targetZ < 0) {
+        return { success: false, error: 'Target is below the floor (Z must be >= 0)', constraint: 'floor' };
+    }
+
+    if (hasPose && (pitch < -180 || pitch > 180)) {
+        return { success: false, error: `Pitch ${pitch}° is out of range (-180° to 180°)`, constraint: 'pitch' };
+    }
+
+    if (elbow !== null && elbow !== 'up' && elbow !== 'down') {
+        return { success: false, error: `Elbow must be "up" or "down" (got "${elbow}")`, constraint: 'elbow' };
+    }
+
+    if (roll !== null && (roll < CONFIG.limits.wristRotate.min || roll > CONFIG.limits.wristRotate.max)) {
+        return {
+            success: false,
+            error: `Roll ${roll}° exceeds wrist rotate limit (${CONFIG.limits.wristRotate.min}° to ${CONFIG.limits.wristRotate.max}°)`,
+            constraint: 'wristRotate'
+        };
+    }
+
+    // Calculate base rotation angle (rotation around vertical axis)
+    // The arm extends in local -X direction when shoulder tilts, so we need to
+    // rotate base such that local -X points toward the target direction
+    // atan2(y, x) gives angle from +X axis, so we use atan2(targetY, targetX)
+    let baseAngle = Math.PI - Math.atan2(targetY, targetX);
+    // Normalize to -π to π range to stay within joint limits
+    while (baseAngle > Math.PI) baseAngle -= 2 * Math.PI;
+    while (baseAngle < -Math.PI) baseAngle += 2 * Math.PI;
+
+    // Work in 2D plane (r = horizontal distance, h = height relative to shoulder)
+    const r = Math.sqrt(targetX * targetX + targetY * targetY);
+    const h = targetZ - baseHeight;
+
+    // Desired cumulative tool angle from vertical (π = pointing straight down)
+    const desiredGripperAngle = Math.PI - (hasPose ? pitch * Math.PI / 180 : 0);
+
+    // Step back from the tip along the tool axis to find the wrist pivot
+    // (for the default top-down pose the wrist sits directly above the target)
+    const wristR = r - L3 * Math.sin(desiredGripperAngle);  // Horizontal distance to wrist
+    const wristH = h - L3 * Math.cos(desiredGripperAngle);  // Height of wrist relative to shoulder
+    const wristDist = Math.sqrt(wristR * wristR + wristH * wristH);
+
+    // Check reachability - too far
+    if (wristDist > armReach * 0.98) {
+        return {
+            success: false,
+            error: `Target too far with ${poseLabel} (need ${(wristDist * 100).toFixed(0)}cm, arm reach: ${(armReach * 100).toFixed(0)}cm)`,
+            constraint: 'reach'
+        };
+    }
+
+    // Check if target is essentially at the shoulder pivot (can't reach directly above/below self)
+    // This is a geometric singularity - use a small threshold based on arm geometry
+    const minWristDist = 0.02;  // 2cm - very close to shoulder pivot
+    if (wristDist < minWristDist) {
+        return { success: false, error: 'Target is too close to shoulder pivot', constraint: 'singularity' };
+    }
+
+    // Solve 2-link IK using law of cosines
+    // Internal elbow angle (angle of the triangle at elbow vertex)
+    let cosElbowInternal = (L1 * L1 + L2 * L2 - wristDist * wristDist) / (2 * L1 * L2);
+    cosElbowInternal = Math.max(-1, Math.min(1, cosElbowInternal));
+    const elbowInternalAngle = Math.acos(cosElbowInternal);
+
+    // Angle from VERTICAL to the shoulder->wrist line
+    // atan2(horizontal, vertical) gives angle from vertical axis
+    const angleToWristFromVertical = Math.atan2(wristR, wristH);
+
+    // Angle at shoulder vertex (between upper arm and shoulder->wrist line)
+    let cosAlpha = (L1 * L1 + wristDist * wristDist - L2 * L2) / (2 * L1 * wristDist);
+    cosAlpha = Math.max(-1, Math.min(1, cosAlpha));
+    const alpha = Math.acos(cosAlpha);
+
+    // Try both elbow configurations and keep the valid ones
+    const configs = [];
+    const violations = [];
+
+    // Configuration 1: Elbow-down (elbow below the shoulder-wrist line)
+    // Upper arm tilts MORE than the line to wrist
+    // Lower arm bends BACK toward vertical, so elbow angle is NEGATIVE
+    const shoulderDown = angleToWristFromVertical + alpha;
+    const elbowDown = -(Math.PI - elbowInternalAngle);  // Negative bend (back toward vertical)
+    const wristDown = normalizeAngle(desiredGripperAngle - shoulderDown - elbowDown);
+    const downViolation = findLimitViolation({ shoulder: shoulderDown, elbow: elbowDown, wrist: wristDown });
+
+    if (elbow === 'up') {
+        // Branch excluded by override
+    } else if (!downViolation) {
+        configs.push({ shoulder: shoulderDown, elbow: elbowDown, wrist: wristDown, name: 'elbow-down' });
+    } else {
+        violations.push(`elbow-down needs ${downViolation}`);
+    }
+
+    // Configuration 2: Elbow-up (elbow above the shoulder-wrist line)
+    // Upper arm tilts LESS than the line to wrist
+    // Lower arm bends FORWARD away from vertical, so elbow angle is POSITIVE
+    const shoulderUp = angleToWristFromVertical - alpha;
+    const elbowUp = Math.PI - elbowInternalAngle;  // Positive bend (forward)
+    const wristUp = normalizeAngle(desiredGripperAngle - shoulderUp - elbowUp);
+    const upViolation = findLimitViolation({ shoulder: shoulderUp, elbow: elbowUp, wrist: wristUp });
+
+    if (elbow === 'down') {
+        // Branch excluded by override
+    } else if (!upViolation) {
+        configs.push({ shoulder: shoulderUp, elbow: elbowUp, wrist: wristUp, name: 'elbow-up' });
+    } else {
+        violations.push(`elbow-up needs ${upViolation}`);
+    }
+
+    if (configs.length === 0) {
+        // Calculate horizontal distance for more helpful error
+        const horizontalDist = (r * 100).toFixed(0);
+        const heightFromFloor = (targetZ * 100).toFixed(0);
+        const hint = hasPose ? 'try a different pitch, height or distance' : 'try a different height or distance';
+        return {
+            success: false,
+            error: `Cannot reach (${horizontalDist}cm out, ${heightFromFloor}cm up) with ${poseLabel} - ${violations.join('; ')} - ${hint}`,
+            constraint: 'limits'
+        };
+    }
+
+    // Prefer the configuration with the smallest weighted joint travel from
+    // the current pose, so consecutive targets don't flip the arm
+    let chosen = configs[0];
+    let chosenCost = Infinity;
+    for (const config of configs) {
+        const cost = jointTravelCost({ base: baseAngle, ...config }, from);
+        if (cost < chosenCost) {
+            chosen = config;
+            chosenCost = cost;
+        }
+    }
+
+    // Convert to degrees
+    const result = {
+        base: baseAngle * 180 / Math.PI,
+        shoulder: chosen.shoulder * 180 / Math.PI,
+        elbow: chosen.elbow * 180 / Math.PI,
+        wrist: chosen.wrist * 180 / Math.PI
+    };
+
+    if (roll !== null) {
+        result.wristRotate = roll;
+    }
+
+    return { success: true, angles: result, branch: chosen.name };
+}
+
+// Weighted joint travel (radians) from a reference pose (default: current
+// jointAngles) to a candidate pose
+function jointTravelCost(angles, from = jointAngles) {
+    const weights = CONFIG.ik.jointWeights;
+    let cost = 0;
+    for (const joint of ['base', 'shoulder', 'elbow', 'wrist']) {
+        const delta = joint === 'base'
+            ? normalizeAngle(angles[joint] - from[joint])
+            : angles[joint] - from[joint];
+        cost += weights[joint] * Math.abs(delta);
+    }
+    return cost;
+}
+
+// Name the IK branch a pose belongs to: the elbow bends back toward vertical
+// (negative) in elbow-down and forward (positive) in elbow-up
+function getElbowBranch(elbowAngle) {
+    if (Math.abs(elbowAngle) < 1e-6) return 'straight';
+    return elbowAngle < 0 ? 'elbow-down' : 'elbow-up';
+}
+
+// Inverse Kinematics solver
+// Tries the closed-form solution first and falls back to the numerical
+// damped-least-squares solver when the target is out of reach or every
+// closed-form branch violates a joint limit.
+//
+// options: { pitch, roll, elbow, from, maxIterations, fallback }
+// `from` is the reference pose (radians) for branch choice and the numerical
+// starting point; it defaults to the current jointAngles.
+// Returns { success, angles, method, residual, branch } on success. On failure the
+// result carries `closest` (best numerical attempt) when the fallback ran; with
+// options.elbow the attempt stays on that branch.
+function solveIK(targetX, targetY, targetZ, options = {}) {
+    const { maxIterations = 50, fallback = true } = options;
+
+    const closedForm = solveIKClosedForm(targetX, targetY, targetZ, options);
+    if (closedForm.success) {
+        return { ...closedForm, method: 'closed-form' };
+    }
+
+    // Only reach and joint-limit failures can be improved on iteratively
+    if (!fallback || !['reach', 'limits'].includes(closedForm.constraint)) {
+        return closedForm;
+    }
+
+    const numerical = solveIKNumerical(targetX, targetY, targetZ, { ...options, maxIterations });
+    const branch = getElbowBranch(numerical.angles.elbow * Math.PI / 180);
+    // A straight elbow is the edge of both branches; only a real bend counts as success
+    const branchAllowed = !options.elbow || branch === `elbow-${options.elbow}`;
+    if (numerical.converged && branchAllowed) {
+        return {
+            success: true,
+            angles: numerical.angles,
+            method: 'numerical',
+            residual: numerical.residual,
+            branch
+        };
+    }
+
+    return { ...closedForm, closest: numerical };
+}
+
+// Forward kinematics for the gripper tip (pure math, no scene graph)
+// angles: { base, shoulder, elbow, wrist } in radians
+// Returns { x, y, z, toolAngle } in robotics coordinates (units), where
+// toolAngle is the cumulative tilt from vertical (π = pointing down)
+function computeTipPosition(angles) {
+    const L1 = CONFIG.segments.shoulderLength;
+    const L2 = CONFIG.segments.elbowLength;
+    const L3 = CONFIG.segments.wristLength + 0.06 + CONFIG.segments.gripperLength;
+    const baseHeight = CONFIG.segments.baseHeight + 0.15;
+
+    const a1 = angles.shoulder;
+    const a2 = a1 + angles.elbow;
+    const a3 = a2 + angles.wrist;
+
+    // Position in the arm's vertical plane (r = outward, h = up)
+    const r = L1 * Math.sin(a1) + L2 * Math.sin(a2) + L3 * Math.sin(a3);
+    const h = baseHeight + L1 * Math.cos(a1) + L2 * Math.cos(a2) + L3 * Math.cos(a3);
+
+    // The arm extends along local -X, rotated by the base angle
+    return {
+        x: -r * Math.cos(angles.base),
+        y: r * Math.sin(angles.base),
+        z: h,
+        toolAngle: a3
+    };
+}
+
+// Numerical IK solver using damped least squares (Levenberg-Marquardt style)
+// Starts from options.from (default: current jointAngles) and keeps every step
+// inside CONFIG.limits. options.elbow ('up' | 'down') also keeps the elbow on
+// that side of straight.
+// The Jacobian is estimated by finite differences of computeTipPosition().
+//
+// Besides the tip position it also drives the tool angle toward the requested
+// pitch (straight down when no pitch is given), weighted lower than position.
+//
+// Returns { converged, angles (degrees), residual: { position, orientation } }
+// where residual.position is in cm and residual.orientation in degrees.
+function solveIKNumerical(targetX, targetY, targetZ, options = {}) {
+    const { pitch = null, roll = null, elbow = null, maxIterations = 50, from = jointAngles } = options;
+
+    const joints = ['base', 'shoulder', 'elbow', 'wrist'];
+    const limits = joints.map(j => ({
+        min: CONFIG.limits[j].min * Math.PI / 180,
+        max: CONFIG.limits[j].max * Math.PI / 180
+    }));
+    // Elbow-up bends positive, elbow-down negative (see getElbowBranch)
+    if (elbow === 'up') limits[2].min = Math.max(limits[2].min, 0);
+    if (elbow === 'down') limits[2].max = Math.min(limits[2].max, 0);
+
+    const desiredToolAngle = Math.PI - (pitch !== null ? pitch * Math.PI / 180 : 0);
+    const orientationWeight = 0.2;      // Units of error per radian of tool tilt
+    const positionTolerance = 0.005;    // 5mm
+    const orientationTolerance = 0.5 * Math.PI / 180;
+    const maxStep = 0.5;                // Max joint change per iteration (rad)
+    const epsilon = 1e-4;               // Finite difference step (rad)
+
+    const toAngles = q => ({ base: q[0], shoulder: q[1], elbow: q[2], wrist: q[3] });
+    const clampJoints = q => q.map((v, i) => {
+        const value = i === 0 ? normalizeAngle(v) : v;
+        return Math.max(limits[i].min, Math.min(limits[i].max, value));
+    });
+
+    // Residual vector: [dx, dy, dz, weighted tool angle error]
+    function residualAt(q) {
+        const tip = computeTipPosition(toAngles(q));
+        return [
+            targetX - tip.x,
+            targetY - tip.y,
+            targetZ - tip.z,
+            orientationWeight * normalizeAngle(desiredToolAngle - tip.toolAngle)
+        ];
+    }
+
+    const norm = v => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+    const positionError = e => Math.sqrt(e[0] * e[0] + e[1] * e[1] + e[2] * e[2]);
+
+    // A forced branch starts from a half bend unless `from` already bends that way
+    const seed = joints.map(j => from[j]);
+    if ((elbow === 'up' && seed[2] <= 0) || (elbow === 'down' && seed[2] >= 0)) {
+        seed[2] = (elbow === 'up' ? limits[2].max : limits[2].min) / 2;
+    }
+    let q = clampJoints(seed);
+    let error = residualAt(q);
+    let lambda = 0.05;
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+        if (positionError(error) < positionTolerance &&
+            Math.abs(error[3]) / orientationWeight < orientationTolerance) {
+            break;
+        }
+
+        // Finite-difference Jacobian (4 residuals x 4 joints)
+        const J = error.map(() => new Array(joints.length).fill(0));
+        for (let j = 0; j < joints.length; j++) {
+            const qStep = q.slice();
+            qStep[j] += epsilon;
+            const stepped = residualAt(qStep);
+            for (let i = 0; i < error.length; i++) {
+                // Residual is (target - actual), so the Jacobian of actual is its negation
+                J[i][j] = (error[i] - stepped[i]) / epsilon;
+            }
+        }
+
+        // Joints pinned at a limit and pushed further into it are locked out of
+        // the step so the remaining joints can make progress
+        let dq = dampedLeastSquaresStep(J, error, lambda);
+        if (!dq) break;
+        const locked = dq.map((v, j) =>
+            (q[j] <= limits[j].min + 1e-9 && v < 0) || (q[j] >= limits[j].max - 1e-9 && v > 0)
+        );
+        if (locked.some(Boolean)) {
+            const freeJ = J.map(row => row.map((v, j) => locked[j] ? 0 : v));
+            dq = dampedLeastSquaresStep(freeJ, error, lambda);
+            if (!dq) break;
+        }
+
+        const stepSize = Math.max(...dq.map(Math.abs));
+        if (stepSize > maxStep) {
+            dq = dq.map(v => v * maxStep / stepSize);
+        }
+
+        const candidate = clampJoints(q.map((v, j) => v + dq[j]));
+        const candidateError = residualAt(candidate);
+
+        if (norm(candidateError) < norm(error)) {
+            // Improvement - accept and trust the linearization more
+            q = candidate;
+            error = candidateError;
+            lambda = Math.max(0.0001, lambda * 0.5);
+        } else {
+            // Worse - reject and damp harder
+            lambda *= 2;
+            if (lambda > 10) break;
+        }
+    }
+
+    const residual = {
+        position: positionError(error) * 100,
+        orientation: Math.abs(error[3]) / orientationWeight * 180 / Math.PI
+    };
+
+    const angles = {
+        base: q[0] * 180 / Math.PI,
+        shoulder: q[1] * 180 / Math.PI,
+        elbow: q[2] * 180 / Math.PI,
+        wrist: q[3] * 180 / Math.PI
+    };
+    if (roll !== null) {
+        angles.wristRotate = roll;
+    }
+
+    return {
+        converged: residual.position < positionTolerance * 100 &&
+                   residual.orientation < orientationTolerance * 180 / Math.PI,
+        angles,
+        residual
+    };
+}
+
+// One damped least squares step: dq = Jᵀ (J Jᵀ + λ² I)⁻¹ e
+function dampedLeastSquaresStep(J, error, lambda) {
+    const JJt = J.map((row, i) => J.map((other, k) =>
+        row.reduce((sum, v, j) => sum + v * other[j], 0) + (i === k ? lambda * lambda : 0)
+    ));
+    const y = solveLinearSystem(JJt, error);
+    if (!y) return null;
+    return J[0].map((_, j) => J.reduce((sum, row, i) => sum + row[j] * y[i], 0));
+}
+
+// Solve A·x = b for a small dense system (Gaussian elimination, partial pivoting)
+// Returns null if the matrix is singular
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        if (Math.abs(M[pivot][col]) < 1e-12) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) {
+                M[row][k] -= factor * M[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= M[row][k] * x[k];
+        }
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+// Wrap an angle (radians) into the -π to π range
+function normalizeAngle(angle) {
+    while (angle > Math.PI) angle -= 2 * Math.PI;
+    while (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
+
+// Check shoulder/elbow/wrist angles (radians) against CONFIG.limits
+// Returns a description of the first violated limit, or null if all are valid
+function findLimitViolation(angles) {
+    for (const joint of ['shoulder', 'elbow', 'wrist']) {
+        const limits = CONFIG.limits[joint];
+        const deg = angles[joint] * 180 / Math.PI;
+        if (deg < limits.min || deg > limits.max) {
+            return `${joint} ${deg.toFixed(1)}° (limit ${limits.min}° to ${limits.max}°)`;
+        }
+    }
+    return null;
+}
+
+// ============================================================================
+// CARTESIAN PATHS
+// ============================================================================
+
+// Cartesian moves sample the tool path densely, solve IK at every sample and
+// then play the resulting joint-space path through the normal animation loop.
+
+const CARTESIAN_STEP = 0.01;         // Sample spacing along the path (1cm)
+const MAX_PATH_SAMPLES = 400;        // Upper bound on samples per move
+const MAX_PATH_JOINT_STEP = 10;      // Max joint change between samples (degrees)
+
+// Current tool pitch in degrees (0 = pointing down, same convention as goto)
+function getToolPitch(angles = jointAngles) {
+    const toolAngle = angles.shoulder + angles.elbow + angles.wrist;
+    return normalizeAngle(Math.PI - toolAngle) * 180 / Math.PI;
+}
+
+// Current tool pose as a path start point: { x, y, z, pitch, roll } (units / degrees)
+function getCurrentToolPose() {
+    const tip = computeTipPosition(jointAngles);
+    return {
+        x: tip.x,
+        y: tip.y,
+        z: tip.z,
+        pitch: getToolPitch(),
+        roll: jointAngles.wristRotate * 180 / Math.PI
+    };
+}
+
+// Sample a straight line between two tool poses
+// start/end: { x, y, z, pitch, roll } (units / degrees)
+function sampleLinearPath(start, end) {
+    const length = Math.sqrt(
+        (end.x - start.x) ** 2 + (end.y - start.y) ** 2 + (end.z - start.z) ** 2
+    );
+    const count = Math.min(MAX_PATH_SAMPLES, Math.max(10, Math.ceil(length / CARTESIAN_STEP)));
+
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+        const t = i / count;
+        samples.push({
+            x: lerp(start.x, end.x, t),
+            y: lerp(start.y, end.y, t),
+            z: lerp(start.z, end.z, t),
+            pitch: lerp(start.pitch, end.pitch, t),
+            roll: lerp(start.roll, end.roll, t)
+        });
+    }
+    return { samples, length };
+}
+
+// Sample a circular arc that starts at `start`, passes through `via` and ends at `end`
+// Orientation blends from start to end in proportion to arc length.
+// Returns { samples, length, radius } or { error } if the three points are
+// (nearly) collinear or coincident.
+function sampleArcPath(start, via, end) {
+    const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const cross = (a, b) => ({
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    });
+
+    const a = sub(via, start);
+    const b = sub(end, start);
+    const normal = cross(a, b);
+    const normalSq = dot(normal, normal);
+    if (normalSq < 1e-8) {
+        return { error: 'start, via and end points are collinear - use movel for a straight line' };
+    }
+
+    // Circumcenter of the triangle (start, via, end)
+    const offset = cross(
+        {
+            x: dot(a, a) * b.x - dot(b, b) * a.x,
+            y: dot(a, a) * b.y - dot(b, b) * a.y,
+            z: dot(a, a) * b.z - dot(b, b) * a.z
+        },
+        normal
+    );
+    const center = {
+        x: start.x + offset.x / (2 * normalSq),
+        y: start.y + offset.y / (2 * normalSq),
+        z: start.z + offset.z / (2 * normalSq)
+    };
+
+    // In-plane basis: u points at the start, w is 90° ahead in the travel direction
+    const toStart = sub(start, center);
+    const radius = Math.sqrt(dot(toStart, toStart));
+    const n = Math.sqrt(normalSq);
+    const u = { x: toStart.x / radius, y: toStart.y / radius, z: toStart.z / radius };
+    const w = cross({ x: normal.x / n, y: normal.y / n, z: normal.z / n }, u);
+
+    // start -> via -> end runs counter-clockwise about the normal, so the
+    // sweep is the end point's angle measured in [0, 2π)
+    const toEnd = sub(end, center);
+    let sweep = Math.atan2(dot(toEnd, w), dot(toEnd, u));
+    if (sweep <= 0) sweep += 2 * Math.PI;
+
+    const length = radius * sweep;
+    const count = Math.min(MAX_PATH_SAMPLES, Math.max(10, Math.ceil(length / CARTESIAN_STEP)));
+
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+        const t = i / count;
+        const angle = sweep * t;
+        const cos = Math.cos(angle) * radius;
+        const sin = Math.sin(angle) * radius;
+        samples.push({
+            x: center.x + u.x * cos + w.x * sin,
+            y: center.y + u.y * cos + w.y * sin,
+            z: center.z + u.z * cos + w.z * sin,
+            pitch: lerp(start.pitch, end.pitch, t),
+            roll: lerp(start.roll, end.roll, t)
+        });
+    }
+    return { samples, length, radius };
+}
+
+// Sample a smooth spline through a list of waypoints (the first is the start pose)
+// Uses a centripetal Catmull-Rom spline so the tool blends through every
+// waypoint without stopping and without overshooting loops on uneven spacing.
+// Orientation blends from the first to the last waypoint along the path.
+// Returns { samples, length }
+function sampleSplinePath(points) {
+    const dist = (a, b) => Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2 + (b.z - a.z) ** 2);
+
+    // Drop repeated waypoints - they would give zero-length segments
+    const knots = points.filter((p, i) => i === 0 || dist(points[i - 1], p) > 1e-4);
+    if (knots.length < 2) return { samples: [points[0], points[points.length - 1]], length: 0 };
+
+    // Mirror the end points so the first and last segments have tangents
+    const mirror = (p, q) => ({ x: 2 * p.x - q.x, y: 2 * p.y - q.y, z: 2 * p.z - q.z });
+    const ctrl = [mirror(knots[0], knots[1]), ...knots, mirror(knots[knots.length - 1], knots[knots.length - 2])];
+
+    // Chord lengths give a budget of samples per segment
+    const chords = [];
+    for (let i = 1; i < knots.length; i++) chords.push(dist(knots[i - 1], knots[i]));
+    const totalChord = chords.reduce((sum, c) => sum + c, 0);
+    const totalCount = Math.min(MAX_PATH_SAMPLES, Math.max(10 * chords.length, Math.ceil(totalChord / CARTESIAN_STEP)));
+
+    const positions = [{ x: knots[0].x, y: knots[0].y, z: knots[0].z }];
+    for (let seg = 0; seg < chords.length; seg++) {
+        const [p0, p1, p2, p3] = ctrl.slice(seg, seg + 4);
+
+        // Centripetal parameterisation (alpha = 0.5)
+        const t0 = 0;
+        const t1 = t0 + Math.sqrt(Math.max(dist(p0, p1), 1e-6));
+        const t2 = t1 + Math.sqrt(Math.max(dist(p1, p2), 1e-6));
+        const t3 = t2 + Math.sqrt(Math.max(dist(p2, p3), 1e-6));
+
+        const blend = (a, b, ta, tb, t) => {
+            const k = (t - ta) / (tb - ta);
+            return { x: lerp(a.x, b.x, k), y: lerp(a.y, b.y, k), z: lerp(a.z, b.z, k) };
+        };
+
+        const count = Math.max(10, Math.round(totalCount * chords[seg] / totalChord));
+        for (let i = 1; i <= count; i++) {
+            const t = lerp(t1, t2, i / count);
+            const a1 = blend(p0, p1, t0, t1, t);
+            const a2 = blend(p1, p2, t1, t2, t);
+            const a3 = blend(p2, p3, t2, t3, t);
+            const b1 = blend(a1, a2, t0, t2, t);
+            const b2 = blend(a2, a3, t1, t3, t);
+            positions.push(blend(b1, b2, t1, t2, t));
+        }
+    }
+
+    // Measure the actual curve so orientation blends by distance travelled
+    const travelled = [0];
+    for (let i = 1; i < positions.length; i++) {
+        travelled.push(travelled[i - 1] + dist(positions[i - 1], positions[i]));
+    }
+    const length = travelled[travelled.length - 1];
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    const samples = positions.map((p, i) => {
+        const t = length > 0 ? travelled[i] / length : 1;
+        return { ...p, pitch: lerp(first.pitch, last.pitch, t), roll: lerp(first.roll, last.roll, t) };
+    });
+    return { samples, length };
+}
+
+// Solve IK for every sample of a Cartesian path
+// Each sample is solved from the previous solution so the arm stays on one
+// branch. Fails if any sample is unreachable or a joint would jump (branch
+// flip, singularity or limit crossing).
+// Returns { success, path } with joint angles in radians, or { success: false, error }
+function planCartesianPath(samples, options = {}) {
+    const { elbow = null } = options;
+    const path = [];
+    let from = { ...jointAngles };
+
+    for (let i = 1; i < samples.length; i++) {
+        const sample = samples[i];
+        const where = `point ${i}/${samples.length - 1} at ` +
+            `(${(sample.x * 100).toFixed(0)}, ${(sample.y * 100).toFixed(0)}, ${(sample.z * 100).toFixed(0)}) cm`;
+
+        const result = solveIK(sample.x, sample.y, sample.z, { pitch: sample.pitch, elbow, from });
+        if (!result.success) {
+            return { success: false, error: `${where} is unreachable - ${result.error}` };
+        }
+
+        const angles = {
+            base: result.angles.base * Math.PI / 180,
+            shoulder: result.angles.shoulder * Math.PI / 180,
+            elbow: result.angles.elbow * Math.PI / 180,
+            wrist: result.angles.wrist * Math.PI / 180,
+            wristRotate: clampAngle(sample.roll, CONFIG.limits.wristRotate) * Math.PI / 180
+        };
+
+        for (const joint of ['base', 'shoulder', 'elbow', 'wrist']) {
+            const delta = Math.abs(normalizeAngle(angles[joint] - from[joint])) * 180 / Math.PI;
+            if (delta > MAX_PATH_JOINT_STEP) {
+                return {
+                    success: false,
+                    error: `${where}: ${joint} would jump ${delta.toFixed(0)}° (joint limit or singularity on the path)`
+                };
+            }
+        }
+
+        path.push(angles);
+        from = angles;
+    }
+
+    return { success: true, path };
+}
+
+// Play a joint-space path (array of angle sets in radians) as one animation
+function startPathAnimation(path) {
+    const last = path[path.length - 1];
+    targetAngles.base = last.base;
+    targetAngles.shoulder = last.shoulder;
+    targetAngles.elbow = last.elbow;
+    targetAngles.wrist = last.wrist;
+    targetAngles.wristRotate = last.wristRotate;
+    startAnimation(path);
+}
+
+// ============================================================================
+// MOTION PLANNING
+// ============================================================================
+
+// RRT-Connect in joint space (base, shoulder, elbow, wrist): two trees grow from
+// the start and goal poses toward random samples until they meet. Poses are
+// tested by posing the arm model and running the regular collision checks;
+// the arm's real pose is restored afterwards. Wrist rotation is not planned -
+// it blends from start to goal along the path.
+
+const PLANNED_JOINTS = ['base', 'shoulder', 'elbow', 'wrist'];
+
+// Pose the arm model without touching jointAngles or the UI
+function setArmModelPose(angles) {
+    robotArm.basePivot.rotation.y = angles.base;
+    robotArm.shoulderPivot.rotation.z = angles.shoulder;
+    robotArm.elbowPivot.rotation.z = angles.elbow;
+    robotArm.wristPivot.rotation.z = angles.wrist;
+    robotArm.wristRotatePivot.rotation.y = angles.wristRotate;
+}
+
+// Find what the arm would hit at a pose (angles in radians), keeping
+// `clearance` metres away from objects; objects in `ignore` are skipped
+// Returns null when clear, otherwise the name of the obstacle
+function findPoseCollision(angles, clearance = CONFIG.planner.clearance, ignore = null) {
+    setArmModelPose(angles);
+    const positions = getArmJointPositions();
+
+    // Nothing below the shoulder may dip under the floor
+    for (const { name, pos } of positions) {
+        if (name !== 'shoulder' && pos.y < 0) return 'the floor';
+    }
+
+    for (const obj of sceneObjects) {
+        if (obj.isGripped || (ignore && ignore.has(obj))) continue;
+
+        // Capsule test for the arm links, box test for the fingers
+        if (checkArmObjectCollision(obj, clearance).collision ||
+            checkMeshObjectCollision(gripperMeshes.left, obj.mesh, clearance).collision ||
+            checkMeshObjectCollision(gripperMeshes.right, obj.mesh, clearance).collision) {
+            return obj.name;
+        }
+    }
+
+    return null;
+}
+
+// Objects sitting between the fingers at a pose - the ones being reached for
+function findApproachedObjects(angles) {
+    setArmModelPose(angles);
+    return new Set(sceneObjects.filter(obj => !obj.isGripped && isObjectInGripZone(obj)));
+}
+
+// Joint-space difference b - a (base takes the short way round)
+function getJointDelta(a, b, joint) {
+    const diff = b[joint] - a[joint];
+    return joint === 'base' ? normalizeAngle(diff) : diff;
+}
+
+function getJointDistance(a, b) {
+    let sum = 0;
+    for (const joint of PLANNED_JOINTS) sum += getJointDelta(a, b, joint) ** 2;
+    return Math.sqrt(sum);
+}
+
+// Step from `a` toward `b` by at most maxStep (radians)
+function steerTowards(a, b, maxStep) {
+    const distance = getJointDistance(a, b);
+    const t = distance > maxStep ? maxStep / distance : 1;
+    const angles = { ...a };
+    for (const joint of PLANNED_JOINTS) {
+        angles[joint] = a[joint] + getJointDelta(a, b, joint) * t;
+        if (joint === 'base') angles.base = normalizeAngle(angles.base);
+    }
+    return angles;
+}
+
+// Check the straight joint-space segment a -> b at checkResolution intervals
+function isMotionClear(a, b, ignore = null) {
+    const resolution = CONFIG.planner.checkResolution * Math.PI / 180;
+    let steps = 1;
+    for (const joint of PLANNED_JOINTS) {
+        steps = Math.max(steps, Math.ceil(Math.abs(getJointDelta(a, b, joint)) / resolution));
+    }
+    for (let i = 1; i <= steps; i++) {
+        const angles = steerTowards(a, b, getJointDistance(a, b) * i / steps);
+        if (findPoseCollision(angles, CONFIG.planner.clearance, ignore)) return false;
+    }
+    return true;
+}
+
+function sampleJointSpace(wristRotate) {
+    const angles = { wristRotate };
+    for (const joint of PLANNED_JOINTS) {
+        const { min, max } = CONFIG.limits[joint];
+        angles[joint] = (min + random() * (max - min)) * Math.PI / 180;
+    }
+    return angles;
+}
+
+// Grow `tree` one step toward `target`; returns the new node or null if blocked
+function extendTree(tree, target, ignore) {
+    let nearest = tree[0];
+    let nearestDistance = Infinity;
+    for (const node of tree) {
+        const distance = getJointDistance(node.angles, target);
+        if (distance < nearestDistance) {
+            nearest = node;
+            nearestDistance = distance;
+        }
+    }
+
+    const angles = steerTowards(nearest.angles, target, CONFIG.planner.stepSize * Math.PI / 180);
+    if (!isMotionClear(nearest.angles, angles, ignore)) return null;
+
+    const node = { angles, parent: nearest };
+    tree.push(node);
+    return node;
+}
+
+// Keep extending `tree` toward `target` until it arrives or is blocked
+function connectTree(tree, target, ignore) {
+    for (;;) {
+        const node = extendTree(tree, target, ignore);
+        if (!node) return null;
+        if (getJointDistance(node.angles, target) < 1e-6) return node;
+    }
+}
+
+function traceTreePath(node) {
+    const path = [];
+    for (; node; node = node.parent) path.unshift(node.angles);
+    return path;
+}
+
+// Plan a collision-free joint-space path between two poses (radians)
+// Returns { success, path, direct } where path excludes the start pose,
+// or { success: false, error }
+// An object between the fingers at the goal is being picked up, so the arm
+// may reach it; the goal itself only has to be free of real penetration -
+// clearance is kept along the way there.
+function planCollisionFreePath(start, goal) {
+    try {
+        const approached = findApproachedObjects(goal);
+        const blocker = findPoseCollision(goal, 0, approached);
+        if (blocker) {
+            return { success: false, error: `the target pose collides with ${blocker}` };
+        }
+
+        if (isMotionClear(start, goal, approached)) {
+            return { success: true, path: [goal], direct: true };
+        }
+
+        // Wrist rotation stays at the start value while planning
+        const startTree = [{ angles: { ...start }, parent: null }];
+        const goalTree = [{ angles: { ...goal, wristRotate: start.wristRotate }, parent: null }];
+        let treeA = startTree;
+        let treeB = goalTree;
+        let route = null;
+
+        for (let i = 0; i < CONFIG.planner.maxIterations && !route; i++) {
+            const node = extendTree(treeA, sampleJointSpace(start.wristRotate), approached);
+            if (node) {
+                const meeting = connectTree(treeB, node.angles, approached);
+                if (meeting) {
+                    // Both nodes hold the same pose - join the trees there
+                    const startSide = treeA === startTree ? node : meeting;
+                    const goalSide = treeA === startTree ? meeting : node;
+                    route = [...traceTreePath(startSide), ...traceTreePath(goalSide).reverse().slice(1)];
+                }
+            }
+            [treeA, treeB] = [treeB, treeA];
+        }
+
+        if (!route) {
+            return {
+                success: false,
+                error: `no collision-free path found after ${CONFIG.planner.maxIterations} samples (${startTree.length + goalTree.length} poses explored)`
+            };
+        }
+
+        // Shortcut smoothing: drop waypoints that can be skipped in a straight line
+        for (let i = 0; i < CONFIG.planner.shortcutAttempts && route.length > 2; i++) {
+            const a = Math.floor(random() * route.length);
+            const b = Math.floor(random() * route.length);
+            const [from, to] = a < b ? [a, b] : [b, a];
+            if (to - from < 2) continue;
+            if (isMotionClear(route[from], route[to], approached)) route.splice(from + 1, to - from - 1);
+        }
+
+        // Blend wrist rotation along the route
+        const lengths = [0];
+        for (let i = 1; i < route.length; i++) {
+            lengths.push(lengths[i - 1] + getJointDistance(route[i - 1], route[i]));
+        }
+        const total = lengths[lengths.length - 1] || 1;
+        const path = route.slice(1).map((angles, i) => ({
+            ...angles,
+            wristRotate: lerpAngle(start.wristRotate, goal.wristRotate, lengths[i + 1] / total)
+        }));
+
+        return { success: true, path, direct: false };
+    } finally {
+        setArmModelPose(jointAngles);
+    }
+}
+
+// ============================================================================
+// ANIMATION
+// ============================================================================
+
+let animationStartTime = 0;  // simulationTime when the move started (ms)
+let animationStartAngles = {};
+let animationPoints = [];  // Start pose followed by the joint-space waypoints to pass through
+let animationMotion = null; // { knots, profile } from planJointMotion
+let lastSafeAngles = null; // Last known collision-free position
+let lastSafeProgress = 0;  // Progress at last safe position
+let previousArmPositions = null; // For velocity-based collision response
+
+function startAnimation(path = null) {
+    if (!isAnimating) {
+        animationStartTime = simulationTime;
+        animationStartAngles = { ...jointAngles };
+        // Direct joint moves are a single segment to targetAngles
+        animationPoints = [animationStartAngles, ...(path || [{ ...targetAngles }])];
+        animationMotion = planJointMotion(animationPoints);
+        lastSafeAngles = { ...jointAngles };
+        lastSafeProgress = 0;
+        previousArmPositions = getArmJointPositions();
+        isAnimating = true;
+        view.setAnimating(true);
+    }
+}
+
+// Calculate angles at a given progress value (profile position s, 0..1)
+function getAnglesAtProgress(progress) {
+    const { knots } = animationMotion;
+    const last = animationPoints.length - 1;
+    if (progress >= 1) return { ...animationPoints[last] };
+
+    // Find the path segment containing this progress
+    let index = 0;
+    while (index < last - 1 && knots[index + 1] <= progress) index++;
+    const span = knots[index + 1] - knots[index];
+    const t = span > 0 ? (progress - knots[index]) / span : 1;
+    const a = animationPoints[index];
+    const b = animationPoints[index + 1];
+
+    return {
+        base: lerpAngle(a.base, b.base, t),
+        shoulder: lerp(a.shoulder, b.shoulder, t),
+        elbow: lerp(a.elbow, b.elbow, t),
+        wrist: lerp(a.wrist, b.wrist, t),
+        wristRotate: lerpAngle(a.wristRotate, b.wristRotate, t)
+    };
+}
+
+// Apply angles and update scene
+function applyAnglesSet(angles) {
+    jointAngles.base = angles.base;
+    jointAngles.shoulder = angles.shoulder;
+    jointAngles.elbow = angles.elbow;
+    jointAngles.wrist = angles.wrist;
+    jointAngles.wristRotate = angles.wristRotate;
+    applyJointAngles();
+}
+
+// Check collision at a specific set of angles without permanently applying
+// Returns collision info if blocked, otherwise { collision: false }
+function updateAnimation() {
+    if (!isAnimating) return;
+
+    const elapsed = (simulationTime - animationStartTime) / 1000;
+    const targetProgress = getProfilePosition(animationMotion.profile, elapsed);
+    const progressDelta = targetProgress - lastSafeProgress;
+
+    // Skip tiny movements
+    if (progressDelta < 0.0001) {
+        // Still check if animation is complete
+        if (targetProgress >= 1) {
+            isAnimating = false;
+            view.setAnimating(false);
+            if (animationQueue.length > 0) {
+                const nextCommand = animationQueue.shift();
+                processCommand(nextCommand);
+            }
+        }
+        return;
+    }
+
+    // Determine substep count - fewer substeps for smoother performance
+    const SUBSTEPS = Math.max(2, Math.ceil(progressDelta * 10));
+
+    let blocked = false;
+    let blockingCollision = null;
+
+    for (let step = 1; step <= SUBSTEPS; step++) {
+        const stepProgress = lastSafeProgress + (progressDelta * step / SUBSTEPS);
+        const proposedAngles = getAnglesAtProgress(stepProgress);
+
+        // Apply the movement first
+        applyAnglesSet(proposedAngles);
+
+        // Push any movable objects
+        pushObjectsFromArm();
+
+        // Check if we're blocked (only after pushing)
+        const collisionCheck = checkArmCollisionWithBlockedObject();
+
+        if (collisionCheck.collision) {
+            // Found a blocking collision - back up slightly
+            const safeProgress = Math.max(lastSafeProgress, stepProgress - (progressDelta / SUBSTEPS) * 0.5);
+            const safeAngles = getAnglesAtProgress(safeProgress);
+            applyAnglesSet(safeAngles);
+            lastSafeAngles = { ...safeAngles };
+            lastSafeProgress = safeProgress;
+            blocked = true;
+            blockingCollision = collisionCheck;
+            break;
+        }
+
+        // Update progress
+        lastSafeAngles = { ...proposedAngles };
+        lastSafeProgress = stepProgress;
+    }
+
+    if (blocked) {
+        isAnimating = false;
+        view.setAnimating(false);
+        animationQueue.length = 0;
+
+        if (runningProgram) {
+            terminal.print(`Program "${runningProgram.name}" cancelled due to collision.`, 'warning');
+            runningProgram = null;
+        }
+
+        const objName = blockingCollision.object?.name || 'object';
+        terminal.print(`COLLISION: Arm blocked by ${objName}`, 'error');
+        terminal.print('Object cannot be pushed through floor. Try a different approach.', 'warning');
+        return;
+    }
+
+    if (targetProgress >= 1) {
+        isAnimating = false;
+        view.setAnimating(false);
+
+        if (animationQueue.length > 0) {
+            const nextCommand = animationQueue.shift();
+            processCommand(nextCommand);
+        }
+    }
+}
+
+
+
+// Update gripper animation (runs independently of joint animation)
+// Handles gripping, releasing, and pushing objects
+function updateGripperAnimation() {
+    if (!gripperAnimating) return;
+
+    const speed = 0.12;  // Gripper movement speed
+    const diff = targetGripperOpenness - gripperOpenness;
+    const isClosing = diff < 0;
+
+    // Only check for gripping when CLOSING and we don't already have something
+    if (isClosing && !grippedObject) {
+        const armBounds = getArmBounds();
+
+        for (const obj of sceneObjects) {
+            if (obj.isGripped || !isObjectNearArm(obj, armBounds)) continue;
+
+            // Check for contact with fingers
+            const geoCollision = checkGripperFingerCollision(obj);
+            const meshCollision = checkGripperMeshCollision(obj);
+
+            const bothContact = meshCollision.bothContact || geoCollision.bothContact;
+            const leftOnly = (meshCollision.leftContact || geoCollision.leftContact) &&
+                            !(meshCollision.rightContact || geoCollision.rightContact);
+            const rightOnly = (meshCollision.rightContact || geoCollision.rightContact) &&
+                             !(meshCollision.leftContact || geoCollision.leftContact);
+
+            if (bothContact) {
+                // Both fingers touching - try to grip
+                if (geoCollision.inGripZone || isObjectInGripZone(obj)) {
+                    const hold = getGripHold(obj);
+                    if (hold.margin < 0) {
+                        // The pads close on it, but it slides out when lifted
+                        terminal.print(`${obj.name} slips in the gripper: ${describeGripShortfall(hold)}`, 'warning');
+                        targetGripperOpenness = gripperOpenness;
+                        break;
+                    }
+                    gripObject(obj);
+                    // Don't return - let animation continue to close smoothly
+                    break;
+                } else {
+                    terminal.print(`Cannot grip ${obj.name} - object too large or misaligned`, 'warning');
+                    targetGripperOpenness = gripperOpenness + 5;
+                    break;
+                }
+            } else if (leftOnly || rightOnly) {
+                // Single finger contact - push object
+                robotArm.gripperGroup.updateWorldMatrix(true, false);
+                const gripperXAxis = new THREE.Vector3(1, 0, 0);
+                gripperXAxis.applyQuaternion(robotArm.gripperGroup.getWorldQuaternion(new THREE.Quaternion()));
+
+                const pushDir = leftOnly ? gripperXAxis.clone() : gripperXAxis.clone().negate();
+                pushDir.y = 0;
+
+                if (pushDir.lengthSq() > 0.001) {
+                    pushDir.normalize();
+                    obj.wake();
+                    const penetration = (meshCollision.leftPenetration || meshCollision.rightPenetration || 0.01);
+                    obj.mesh.position.add(pushDir.clone().multiplyScalar(Math.max(penetration * 2, 0.01)));
+                    obj.velocity.add(pushDir.clone().multiplyScalar(0.5));
+
+                    const halfHeight = obj.getHalfHeight();
+                    if (obj.mesh.position.y < halfHeight) {
+                        obj.mesh.position.y = halfHeight;
+                    }
+                }
+            }
+        }
+    }
+
+    // Animate gripper movement smoothly
+    if (Math.abs(diff) < 0.5) {
+        gripperOpenness = targetGripperOpenness;
+        gripperAnimating = false;
+    } else {
+        gripperOpenness += diff * speed;
+    }
+
+    applyGripperOpenness();
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Shortest path interpolation for angles
+function lerpAngle(a, b, t) {
+    let diff = b - a;
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+    let result = a + diff * t;
+    // Normalize result to -π to π range
+    while (result > Math.PI) result -= 2 * Math.PI;
+    while (result < -Math.PI) result += 2 * Math.PI;
+    return result;
+}
+
+// ============================================================================
+// SIMULATION LOOP
+// ============================================================================
+
+// The simulation advances in explicit steps: the browser calls stepSimulation
+// once per rendered frame, headless runs call it with a fixed timestep.
+
+let simulationTime = 0;       // Simulated time (ms)
+const simulationTasks = [];   // Pending { time, callback } (see scheduleSimulationTask)
+
+// Run a callback once `delay` ms of simulated time have passed
+// Used instead of setTimeout so programs follow the simulation clock.
+function scheduleSimulationTask(delay, callback) {
+    simulationTasks.push({ time: simulationTime + delay, callback });
+}
+
+// Advance the simulation by one step (deltaTime seconds)
+function stepSimulation(deltaTime = CONFIG.simulation.timestep) {
+    simulationTime += deltaTime * 1000;
+
+    updateAnimation();
+    updateGripperAnimation();
+
+    // Always check for arm collisions with objects, even when not animating
+    // This handles cases where objects fall onto the arm or are pushed into it
+    if (!isAnimating) {
+        pushObjectsFromArm();
+    }
+
+    updatePhysics(deltaTime);
+    updateGripLoad(deltaTime);
+
+    // Run due tasks in order; tasks they schedule wait for a later step
+    const due = simulationTasks
+        .filter(task => task.time <= simulationTime)
+        .sort((a, b) => a.time - b.time);
+    for (const task of due) {
+        simulationTasks.splice(simulationTasks.indexOf(task), 1);
+    }
+    for (const task of due) {
+        task.callback();
+    }
+}
+
+// ============================================================================
+// RANDOM NUMBERS
+// ============================================================================
+
+// All simulation randomness (spawn positions, physics jitter, planner samples)
+// comes from one seeded generator, so "seed <n>" makes a script replay exactly.
+// Sessions start from a random seed; "seed" shows it so a run can be repeated.
+
+let randomSeed = Math.floor(Math.random() * 0x100000000);
+let randomState = randomSeed;
+
+function seedRandom(seed) {
+    randomSeed = seed >>> 0;
+    randomState = randomSeed;
+}
+
+// Uniform random number in [0, 1) (mulberry32)
+function random() {
+    randomState = (randomState + 0x6D2B79F5) >>> 0;
+    let t = randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+}
+
+// Nothing moving and no program, queued command or task pending
+function isSimulationIdle() {
+    return !isAnimating && !gripperAnimating && !runningProgram &&
+        animationQueue.length === 0 && simulationTasks.length === 0;
+}
+
+// Build a scene with the procedural arm for headless runs
+// (the browser sets up its own scene, renderer and GLB model in app.js)
+function initSimulation() {
+    scene = new THREE.Scene();
+    createProceduralRobotArm();
+}
+
+// Snapshot of the simulation state in command units (degrees, cm)
+function getSimulationState() {
+    const toDegrees = angle => Number((angle * 180 / Math.PI).toFixed(2));
+    const tip = getEndEffectorPosition();
+    return {
+        time: simulationTime,
+        joints: {
+            base: toDegrees(jointAngles.base),
+            shoulder: toDegrees(jointAngles.shoulder),
+            elbow: toDegrees(jointAngles.elbow),
+            wrist: toDegrees(jointAngles.wrist),
+            wristRotate: toDegrees(jointAngles.wristRotate)
+        },
+        gripper: Number(gripperOpenness.toFixed(1)),
+        tip: { x: tip.x * 100, y: tip.y * 100, z: tip.z * 100 },
+        objects: sceneObjects.map(obj => ({
+            name: obj.name,
+            type: obj.type,
+            gripped: obj.isGripped,
+            // Three.js Y-up back to robotics Z-up, in cm
+            position: { x: obj.mesh.position.x * 100, y: obj.mesh.position.z * 100, z: obj.mesh.position.y * 100 },
+            // Degrees the object's own up axis leans from vertical
+            tilt: toDegrees(new THREE.Vector3(0, 1, 0).applyQuaternion(obj.mesh.quaternion).angleTo(new THREE.Vector3(0, 1, 0)))
+        }))
+    };
+}
+
+// ============================================================================
+// COMMAND PROCESSING
+// ============================================================================
+
+// Every terminal command is a registered definition:
+// {
+//   name, aliases,          Command word and its short forms
+//   group,                  Section in "help" (see COMMAND_GROUPS)
+//   summary,                One line for the "help" listing
+//   params,                 Argument schema (see validateCommandArgs)
+//   options,                Allowed key=value option names, e.g. ['pitch', 'roll']
+//   usage,                  Argument signature; generated from params if omitted
+//   help,                   Detail lines for "help <command>"
+//   run(args, values)       Handler: raw (lowercased) args and validated values
+// }
+// The registry drives dispatch, help, argument checks and Tab completion.
+
+const commandRegistry = new Map();  // name -> definition
+const commandAliases = new Map();   // alias -> name
+
+// Sections of the "help" listing, in order; commands without a group go last
+const COMMAND_GROUPS = [
+    { id: 'joints', title: 'JOINT CONTROL', notes: ['Use +/- for relative: b +10, e -15, r +45'] },
+    { id: 'position', title: 'POSITION CONTROL (Inverse Kinematics)', notes: ['X=left/right, Y=forward/back, Z=height (cm)'] },
+    { id: 'presets', title: 'PRESETS' },
+    { id: 'positions', title: 'SAVED POSITIONS' },
+    { id: 'gripper', title: 'GRIPPER', notes: ['Use +/- for relative: grip +20, grip -10'] },
+    { id: 'objects', title: 'OBJECTS' },
+    { id: 'programs', title: 'PROGRAMS' },
+    { id: 'script', title: 'PROGRAM COMMANDS (inside programs only)', notes: ['# comment  Comment (ignored)'] },
+    { id: 'utility', title: 'UTILITY' },
+    { id: 'other', title: 'OTHER COMMANDS' }
+];
+
+const PARAM_TYPES = ['word', 'number', 'integer'];
+
+// Add a command (built-in or plugin). Throws if the definition is malformed
+// or its name or an alias is already taken.
+function registerCommand(definition) {
+    const { name, run, aliases = [], params = [] } = definition || {};
+
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(name)) {
+        throw new Error('Command name must be a lowercase word');
+    }
+    if (typeof run !== 'function') {
+        throw new Error(`Command "${name}" needs a run(args) function`);
+    }
+    for (const word of [name, ...aliases]) {
+        if (findCommand(word)) {
+            throw new Error(`Command name "${word}" is already in use`);
+        }
+    }
+    for (const param of params) {
+        if (!param.name || !PARAM_TYPES.includes(param.type || 'word')) {
+            throw new Error(`Command "${name}" has an invalid parameter definition`);
+        }
+    }
+
+    const command = {
+        aliases: [],
+        group: 'other',
+        summary: '',
+        params: [],
+        help: [],
+        ...definition
+    };
+    if (command.usage === undefined) command.usage = formatCommandUsage(command);
+
+    commandRegistry.set(name, command);
+    for (const alias of command.aliases) commandAliases.set(alias, name);
+    return command;
+}
+
+function findCommand(word) {
+    const name = commandAliases.get(word) || word;
+    return commandRegistry.get(name) || null;
+}
+
+// Words a parameter accepts (or completes to); params may give either as a function
+function paramWords(list, args) {
+    return (typeof list === 'function' ? list(args) : list) || [];
+}
+
+// "<x> <y> [mode]" style signature from the parameter schema
+function formatCommandUsage(command) {
+    const parts = command.params.map(param => {
+        const label = param.choices ? paramWords(param.choices, []).join('|') : param.name;
+        if (param.rest) return `[${label} ...]`;
+        return param.optional ? `[${label}]` : `<${label}>`;
+    });
+    for (const option of command.options || []) parts.push(`[${option}=...]`);
+    return parts.join(' ');
+}
+
+// Check args against the command's schema
+// Params are { name, type: 'word'|'number'|'integer', optional, rest, choices, complete }:
+// required ones come first, a rest param takes all remaining words. key=value
+// words are split off as options when the command declares any.
+// Returns { values: { param: value, ..., options } } or { error } naming the problem.
+function checkCommandArgs(command, args) {
+    const fail = message => ({ error: message });
+
+    let positional = args;
+    const values = {};
+    if (command.options) {
+        ({ positional, options: values.options } = parseOptionArgs(args));
+        const unknown = Object.keys(values.options).filter(key => !command.options.includes(key));
+        if (unknown.length > 0) {
+            return fail(`Unknown option ${unknown.map(key => `"${key}"`).join(', ')} for ${command.name}`);
+        }
+    }
+
+    const params = command.params;
+    const required = params.filter(param => !param.optional && !param.rest).length;
+    const hasRest = params.some(param => param.rest);
+
+    if (positional.length < required) {
+        return fail(`${command.name} needs ${required} argument(s)`);
+    }
+    if (!hasRest && positional.length > params.length) {
+        return fail(`Too many arguments for ${command.name}`);
+    }
+
+    for (let i = 0; i < positional.length; i++) {
+        const param = params[Math.min(i, params.length - 1)];
+        const word = positional[i];
+        let value = word;
+
+        if (param.type === 'number' || param.type === 'integer') {
+            value = parseFloat(word);
+            if (!Number.isFinite(value) || (param.type === 'integer' && !Number.isInteger(value))) {
+                return fail(`${param.name} must be ${param.type === 'integer' ? 'a whole number' : 'a number'}`);
+            }
+        }
+        if (param.choices) {
+            const choices = paramWords(param.choices, positional.slice(0, i));
+            if (!choices.includes(word)) {
+                return fail(`${param.name} must be one of: ${choices.join(', ')}`);
+            }
+        }
+
+        if (param.rest) {
+            (values[param.name] = values[param.name] || []).push(value);
+        } else {
+            values[param.name] = value;
+        }
+    }
+
+    return { values };
+}
+
+// Like checkCommandArgs, but prints the problem with the usage
+// Returns the values, or null when the args do not fit
+function validateCommandArgs(command, args) {
+    const { values, error } = checkCommandArgs(command, args);
+    if (error) {
+        terminal.print(`Error: ${error}`, 'error');
+        terminal.print(`Usage: ${command.name} ${command.usage}`.trim(), 'info');
+        return null;
+    }
+    return values;
+}
+
+function processCommand(input) {
+    const parts = input.toLowerCase().trim().split(/\s+/);
+    const command = findCommand(parts[0]);
+    const args = parts.slice(1);
+
+    if (!command) {
+        terminal.print(`Unknown command: ${parts[0]}`, 'error');
+        terminal.print('Type "help" for available commands.', 'info');
+        return;
+    }
+
+    const values = validateCommandArgs(command, args);
+    if (!values) return;
+
+    try {
+        command.run(args, values);
+    } catch (e) {
+        terminal.print(`Error: ${command.name} failed (${e.message})`, 'error');
+    }
+}
+
+// ============================================================================
+// HELP AND COMPLETION
+// ============================================================================
+
+function showHelp(topic) {
+    if (topic) {
+        showCommandHelp(topic);
+        return;
+    }
+
+    terminal.print('');
+    terminal.print('━━━ AVAILABLE COMMANDS ━━━', 'highlight');
+
+    // Commands naming an unknown group are listed under "other"
+    const groupIds = COMMAND_GROUPS.map(group => group.id);
+    const groupOf = command => groupIds.includes(command.group) ? command.group : 'other';
+
+    for (const group of COMMAND_GROUPS) {
+        const commands = [...commandRegistry.values()].filter(command => groupOf(command) === group.id);
+        if (commands.length === 0) continue;
+
+        terminal.print('');
+        terminal.print(`${group.title}:`, 'warning');
+        for (const command of commands) {
+            const signature = `${[command.name, ...command.aliases].join(' | ')} ${command.usage}`.trim();
+            if (signature.length <= 30) {
+                terminal.print(`  ${signature.padEnd(31)} ${command.summary}`, 'info');
+            } else {
+                terminal.print(`  ${signature}`, 'info');
+                terminal.print(`    ${command.summary}`);
+            }
+        }
+        for (const note of group.notes || []) {
+            terminal.print(`  ${note}`);
+        }
+    }
+
+    terminal.print('');
+    terminal.print('TIPS:', 'warning');
+    terminal.print('  Tab                   Complete commands and names', 'info');
+    terminal.print('  Shift+Enter           Multi-line input mode', 'info');
+    terminal.print('  Escape                Cancel multi-line mode', 'info');
+    terminal.print('  Paste multi-line      Auto-executes each line', 'info');
+    terminal.print('');
+    terminal.print('Type "help <command>" for details.', 'info');
+}
+
+function showCommandHelp(word) {
+    const command = findCommand(word);
+    if (!command) {
+        terminal.print(`No help available for "${word}"`, 'info');
+        return;
+    }
+
+    const lines = [
+        `${command.name.toUpperCase()} - ${command.summary}`,
+        '',
+        `Usage: ${command.name} ${command.usage}`.trim()
+    ];
+    if (command.aliases.length > 0) {
+        lines.push(`Alias: ${command.aliases.join(', ')}`);
+    }
+    if (command.help.length > 0) {
+        lines.push('', ...command.help);
+    }
+    lines.forEach(line => terminal.print(line, 'info'));
+}
+
+// Candidates for the last word of a terminal line
+// Returns { prefix, matches }: the line before that word, and sorted completions
+function getCommandCompletions(line) {
+    const words = line.trimStart().split(/\s+/);
+    const word = words.pop();  // '' when the line ends in a space
+    const prefix = line.slice(0, line.length - word.length);
+
+    let candidates = [];
+    if (words.length === 0) {
+        for (const command of commandRegistry.values()) {
+            candidates.push(command.name, ...command.aliases);
+        }
+    } else {
+        const command = findCommand(words[0].toLowerCase());
+        if (command) {
+            const args = words.slice(1).map(arg => arg.toLowerCase());
+            const positional = command.options ? parseOptionArgs(args).positional : args;
+            const { params } = command;
+            const param = params[Math.min(positional.length, params.length - 1)];
+
+            if (param && (positional.length < params.length || param.rest)) {
+                candidates = paramWords(param.complete || param.choices, positional);
+            }
+            // Options can follow the required arguments
+            const required = params.filter(p => !p.optional && !p.rest).length;
+            if (command.options && positional.length >= required) {
+                candidates = [...candidates, ...command.options.map(option => `${option}=`)];
+            }
+        }
+    }
+
+    const lowerWord = word.toLowerCase();
+    const matches = [...new Set(candidates)].filter(c => c.startsWith(lowerWord)).sort();
+    return { prefix, matches };
+}
+
+// Usage line for the command at the start of a terminal line, or null
+function getCommandHint(line) {
+    const word = line.trimStart().split(/\s+/)[0];
+    const command = word && findCommand(word.toLowerCase());
+    if (!command) return null;
+
+    const aliases = command.aliases.length > 0 ? ` (${command.aliases.join(', ')})` : '';
+    return `${command.name}${aliases} ${command.usage}`.trim();
+}
+
+// ============================================================================
+// BUILT-IN COMMANDS
+// ============================================================================
+
+const programNames = () => Object.keys(programs);
+const positionNames = () => Object.keys(savedPositions);
+const TOOL_OPTIONS = ['pitch', 'roll', 'elbow'];
+
+registerCommand({
+    name: 'help',
+    group: 'utility',
+    summary: 'Show commands, or details for one',
+    params: [{ name: 'command', optional: true, complete: () => [...commandRegistry.keys()] }],
+    run: args => showHelp(args[0])
+});
+
+registerCommand({
+    name: 'move',
+    aliases: ['m'],
+    group: 'joints',
+    summary: 'Set all joint angles at once (degrees)',
+    params: ['base', 'shoulder', 'elbow', 'wrist'].map(name => ({ name, type: 'number' })),
+    help: [
+        'Examples:',
+        '  move 45 30 -45 0',
+        '  m 0 45 45 0'
+    ],
+    run: handleMoveCommand
+});
+
+const JOINT_COMMANDS = [
+    { name: 'base', aliases: ['b'], examples: ['base 90', 'b -45'] },
+    { name: 'shoulder', aliases: ['sh'], examples: ['shoulder 30', 'sh +10'] },
+    { name: 'elbow', aliases: ['e'], examples: ['elbow -45', 'e +15'] },
+    { name: 'wrist', aliases: ['w'], examples: ['wrist 45', 'w -20'] }
+];
+
+for (const joint of JOINT_COMMANDS) {
+    const { min, max } = CONFIG.limits[joint.name];
+    registerCommand({
+        name: joint.name,
+        aliases: joint.aliases,
+        group: 'joints',
+        summary: `Set the ${joint.name} angle`,
+        params: [{ name: 'angle', type: 'number' }],
+        help: [
+            `Range: ${min}° to ${max}°`,
+            '',
+            'Examples:',
+            ...joint.examples.map(example => `  ${example}`)
+        ],
+        run: args => handleJointCommand(joint.name, args)
+    });
+}
+
+registerCommand({
+    name: 'rotate',
+    aliases: ['r'],
+    group: 'joints',
+    summary: 'Set the wrist roll angle',
+    params: [{ name: 'angle', type: 'number' }],
+    help: [
+        `Range: ${CONFIG.limits.wristRotate.min}° to ${CONFIG.limits.wristRotate.max}°`,
+        '',
+        'Rotates the gripper around the arm\'s longitudinal axis.',
+        'Useful for orienting objects before gripping.',
+        '',
+        'Examples:',
+        '  rotate 90   - Turn gripper 90° clockwise',
+        '  r -45       - Turn gripper 45° counter-clockwise',
+        '  r +30       - Relative: add 30° to current rotation'
+    ],
+    run: handleRotateCommand
+});
+
+registerCommand({
+    name: 'goto',
+    aliases: ['g'],
+    group: 'position',
+    summary: 'Move gripper tip to XYZ position in cm',
+    params: [
+        { name: 'x', type: 'number' },
+        { name: 'y', type: 'number' },
+        { name: 'z', type: 'number' },
+        { name: 'flag', optional: true, rest: true, choices: ['closest', 'plan'] }
+    ],
+    options: TOOL_OPTIONS,
+    usage: '<x> <y> <z> [pitch=<deg>] [roll=<deg>] [elbow=up|down] [closest] [plan]',
+    help: [
+        'Coordinates (robotics convention, in cm):',
+        '  X: Left/Right (negative=left, positive=right)',
+        '  Y: Forward/Back (positive=forward from base)',
+        '  Z: Height (0=floor, positive=up)',
+        '',
+        'Tool orientation (optional, degrees):',
+        '  pitch: Tilt away from straight down (0=down, 90=horizontal',
+        '         pointing away from base, -90=pointing back toward base)',
+        '  roll:  Wrist rotation around the tool axis',
+        '  Without pitch the gripper points straight down.',
+        '',
+        'IK branch:',
+        '  The elbow-up or elbow-down solution closest to the current pose',
+        '  is used. Force one with elbow=up or elbow=down.',
+        '',
+        'If the closed-form solution fails, an iterative solver searches',
+        'from the current pose. Add "closest" to move as close as possible',
+        'to a target that cannot be reached exactly.',
+        '',
+        'Add "plan" to route around objects in the scene. A collision-free',
+        'path is searched in joint space; if the direct move is already clear',
+        'it is used unchanged. The move is refused if the target pose itself',
+        'hits an object or no path is found.',
+        '',
+        'Examples:',
+        '  g 0 200 50    - Forward 200cm, 50cm height',
+        '  g 100 150 100 - Right 100cm, forward 150cm, 100cm up',
+        '  g 0 250 30    - Straight ahead 250cm, near floor',
+        '  g 0 220 120 pitch=90        - Reach a shelf from the side',
+        '  g 0 180 20 pitch=30 roll=45 - Tilted approach, rotated gripper',
+        '  g -100 150 50 plan          - Reach over/around objects in the way'
+    ],
+    run: handleGotoCommand
+});
+
+registerCommand({
+    name: 'movel',
+    aliases: ['ml'],
+    group: 'position',
+    summary: 'Move gripper tip in a straight line (same options as goto)',
+    params: [
+        { name: 'x', type: 'number' },
+        { name: 'y', type: 'number' },
+        { name: 'z', type: 'number' }
+    ],
+    options: TOOL_OPTIONS,
+    usage: '<x> <y> <z> [pitch=<deg>] [roll=<deg>] [elbow=up|down]',
+    help: [
+        'Unlike goto (which interpolates joint angles and traces an arc),',
+        'movel keeps the gripper tip on the straight line from its current',
+        'position. IK is solved at every centimetre of the path; the move is',
+        'refused if any point is unreachable or a joint would jump.',
+        '',
+        'Tool pitch and roll blend from the current pose to the target.',
+        'Without pitch the move ends with the gripper pointing down.',
+        '',
+        'Examples:',
+        '  movel 100 150 5    - Descend straight onto a part',
+        '  ml 100 150 60      - Lift straight up'
+    ],
+    run: handleMoveLinearCommand
+});
+
+registerCommand({
+    name: 'movec',
+    aliases: ['mc'],
+    group: 'position',
+    summary: 'Move gripper tip along an arc through a via point',
+    params: ['vx', 'vy', 'vz', 'x', 'y', 'z'].map(name => ({ name, type: 'number' })),
+    options: TOOL_OPTIONS,
+    usage: '<vx> <vy> <vz> <x> <y> <z> [pitch=<deg>] [roll=<deg>] [elbow=up|down]',
+    help: [
+        'The arc starts at the current tip position, passes through the via',
+        'point (vx, vy, vz) and ends at (x, y, z). The three points must not',
+        'lie on a straight line - use movel for that.',
+        '',
+        'Like movel, IK is solved along the whole arc and the move is refused',
+        'if any point is unreachable. Pitch and roll blend toward the end pose.',
+        '',
+        'Examples:',
+        '  movec 120 120 30 100 150 20   - Swing around to a drop point',
+        '  mc 0 200 80 -150 150 20       - Sweep over the top to the left'
+    ],
+    run: handleMoveCircularCommand
+});
+
+registerCommand({
+    name: 'path',
+    group: 'position',
+    summary: 'Follow a smooth spline through waypoints without stopping',
+    params: [
+        { name: 'x1', type: 'number' },
+        { name: 'y1', type: 'number' },
+        { name: 'z1', type: 'number' },
+        { name: 'coordinate', type: 'number', optional: true, rest: true }
+    ],
+    options: TOOL_OPTIONS,
+    usage: '<x1> <y1> <z1> [<x2> <y2> <z2> ...] [pitch=<deg>] [roll=<deg>] [elbow=up|down]',
+    help: [
+        'The tip follows a smooth curve from its current position through',
+        'every waypoint in order, blending through corners instead of',
+        'stopping at each one. IK is solved along the whole curve and the',
+        'move is refused if any point is unreachable.',
+        '',
+        'Pitch and roll apply to the last waypoint and blend along the path.',
+        '',
+        'Examples:',
+        '  path 100 100 40 120 0 40 100 -100 20',
+        '  path 0 200 60 -100 150 30 pitch=45'
+    ],
+    run: handlePathCommand
+});
+
+registerCommand({
+    name: 'preset',
+    aliases: ['p'],
+    group: 'presets',
+    summary: 'Move to a named position',
+    params: [{ name: 'name', complete: () => Object.keys(PRESETS) }],
+    help: [
+        'Presets: home, upright, rest, reach, up, down, left, right',
+        '',
+        'Examples:',
+        '  preset upright',
+        '  p left'
+    ],
+    run: handlePresetCommand
+});
+
+registerCommand({
+    name: 'save',
+    group: 'positions',
+    summary: 'Save current position with a name',
+    params: [{ name: 'name', complete: positionNames }],
+    run: handleSaveCommand
+});
+
+registerCommand({
+    name: 'load',
+    aliases: ['l'],
+    group: 'positions',
+    summary: 'Go to a saved position',
+    params: [{ name: 'name', complete: positionNames }],
+    run: handleLoadCommand
+});
+
+registerCommand({
+    name: 'positions',
+    aliases: ['pos'],
+    group: 'positions',
+    summary: 'List, export or import saved positions',
+    params: [
+        { name: 'action', optional: true, choices: ['export', 'import'] },
+        { name: 'file', optional: true }
+    ],
+    usage: '[export [file] | import [file]]',
+    help: [
+        'Saved positions are kept in browser storage and survive a page',
+        'reload. Export writes them as a versioned JSON file; import',
+        'merges a file into the current positions (same names are',
+        'replaced). Files from older versions without wrist roll or',
+        'gripper values are upgraded on import.',
+        '',
+        'In the browser the file name is used for the download, and',
+        'import opens a file picker.',
+        '',
+        'Examples:',
+        '  positions export',
+        '  positions import'
+    ],
+    run: handlePositionsCommand
+});
+
+registerCommand({
+    name: 'delete',
+    aliases: ['del'],
+    group: 'positions',
+    summary: 'Delete a saved position',
+    params: [{ name: 'name', complete: positionNames }],
+    run: handleDeletePositionCommand
+});
+
+registerCommand({
+    name: 'grip',
+    aliases: ['gripper'],
+    group: 'gripper',
+    summary: 'Set gripper openness (0=closed, 100=open)',
+    params: [{ name: 'percent', type: 'number', optional: true }],
+    usage: '[0-100 | +n | -n]',
+    help: [
+        'Without an argument, shows the current openness.',
+        '',
+        'Examples:',
+        '  grip 50',
+        '  grip +20'
+    ],
+    run: handleGripCommand
+});
+
+registerCommand({
+    name: 'open',
+    group: 'gripper',
+    summary: 'Fully open gripper',
+    run: () => handleGripCommand(['100'])
+});
+
+registerCommand({
+    name: 'close',
+    group: 'gripper',
+    summary: 'Fully close gripper',
+    run: () => handleGripCommand(['0'])
+});
+
+registerCommand({
+    name: 'gripforce',
+    group: 'gripper',
+    summary: 'Set squeeze force and pad friction',
+    params: [
+        { name: 'newtons', type: 'number', optional: true },
+        { name: 'friction', type: 'number', optional: true }
+    ],
+    help: [
+        'The fingers hold by friction: two pads squeezing with the force',
+        'give 2 x force x friction newtons, where friction is the pads\'',
+        'coefficient met with the object\'s (geometric mean). Holding takes',
+        'the object\'s weight plus whatever accelerates it with the arm, so',
+        'a heavy or smooth object slips out on a fast swing or wrist turn.',
+        '',
+        'Examples:',
+        '  gripforce          (show current values)',
+        '  gripforce 80       (squeeze harder)',
+        '  gripforce 40 1.2   (grippier pads)'
+    ],
+    run: handleGripForceCommand
+});
+
+registerCommand({
+    name: 'gripped',
+    group: 'gripper',
+    summary: 'Show the held object and grip margin',
+    help: [
+        'Shows the friction needed to hold the gripped object right now',
+        'against what the pads give. The margin is also $grip_margin in',
+        'scripts; below zero the object slips out.'
+    ],
+    run: handleGrippedCommand
+});
+
+registerCommand({
+    name: 'spawn',
+    aliases: ['add'],
+    group: 'objects',
+    summary: 'Add object (cube/cylinder/sphere)',
+    params: [{ name: 'arg', optional: true, rest: true, complete: args => args.length === 0 ? ['cube', 'cylinder', 'sphere'] : [] }],
+    options: ['material', 'mass', 'friction', 'restitution'],
+    usage: '[type] [x y z] [Nmm] [material=<name>] [mass=<g>] [friction=<n>] [restitution=<n>]',
+    help: [
+        'Types: cube (default), cylinder, sphere',
+        'Position: x y z in cm (optional, defaults to random)',
+        'Size: Nmm where N is 10-500 (optional, defaults to 80mm)',
+        `Material: ${Object.keys(MATERIALS).join(', ')} (default ${DEFAULT_MATERIAL})`,
+        'mass (grams), friction (0-2) and restitution (0-1) override the material',
+        '',
+        'Objects can be picked up with the gripper.',
+        'Gripper must contact object with both fingers to grip.',
+        '',
+        'Examples:',
+        '  spawn              - Random 80mm cube at random position',
+        '  spawn sphere       - 80mm sphere at random position',
+        '  spawn cube 0 100 0 - 80mm cube at (0, 100, 0) cm',
+        '  spawn 50mm         - 50mm cube at random position',
+        '  spawn sphere 120mm - 120mm sphere at random position',
+        '  spawn cube 0 100 0 150mm - 150mm cube at position',
+        '  spawn sphere material=rubber - Bouncy rubber ball',
+        '  spawn cube mass=200 friction=0.8 - 200g grippy cube'
+    ],
+    run: handleSpawnCommand
+});
+
+registerCommand({
+    name: 'bench',
+    group: 'objects',
+    summary: 'Spawn n objects and time the physics',
+    params: [
+        { name: 'n', type: 'integer' },
+        { name: 'mode', optional: true, choices: ['naive'] }
+    ],
+    usage: '<n> [naive]',
+    help: [
+        'Spawns n objects (cubes, cylinders and spheres at random',
+        'positions), runs 3 seconds of physics at once and reports the',
+        'time per frame. Objects that come to rest fall asleep, so the',
+        'last second is usually much cheaper than the first.',
+        '',
+        'With "naive", every pair of objects is checked and nothing',
+        'sleeps, for comparison. The objects stay in the scene.',
+        '',
+        'Examples:',
+        '  bench 100        - 100 objects, normal physics',
+        '  bench 100 naive  - Same without sweep and prune or sleeping',
+        '  remove all       - Clear them again'
+    ],
+    run: handleBenchCommand
+});
+
+registerCommand({
+    name: 'objects',
+    aliases: ['obj'],
+    group: 'objects',
+    summary: 'List all objects in scene',
+    help: ['Shows object names, positions, and grip status.'],
+    run: handleObjectsCommand
+});
+
+registerCommand({
+    name: 'remove',
+    aliases: ['rm'],
+    group: 'objects',
+    summary: 'Remove object(s)',
+    params: [{ name: 'name|all', complete: () => ['all', ...sceneObjects.map(obj => obj.name)] }],
+    help: [
+        'Examples:',
+        '  remove cube_1  - Remove specific object',
+        '  remove all     - Remove all objects'
+    ],
+    run: handleRemoveCommand
+});
+
+registerCommand({
+    name: 'scene',
+    group: 'objects',
+    summary: 'Save or restore objects, arm and gripper',
+    params: [
+        { name: 'action', choices: ['save', 'load', 'list'] },
+        { name: 'name', optional: true, complete: args => args[0] === 'list' ? [] : Object.keys(readSavedScenes()) }
+    ],
+    usage: 'save <name> | load <name> | list',
+    help: [
+        'Saves every object (type, size, color, position, orientation',
+        'and velocity) together with the arm pose and gripper state.',
+        'Loading replaces the current objects and stops any movement.',
+        'Scenes are kept in browser storage and survive a page reload.',
+        '',
+        'Examples:',
+        '  scene save stack3',
+        '  scene load stack3'
+    ],
+    run: handleSceneCommand
+});
+
+registerCommand({
+    name: 'workspace',
+    group: 'objects',
+    summary: 'Share programs, positions, scenes and settings',
+    params: [
+        { name: 'action', choices: ['export', 'import'] },
+        { name: 'arg', optional: true, rest: true, complete: args => args[0] === 'import' ? ['replace'] : [] }
+    ],
+    usage: 'export [file] | import [file] [replace]',
+    help: [
+        'A workspace bundle holds notebook scripts, programs, saved',
+        'positions, saved scenes and changed settings (speed, motion',
+        'profile, planner and timestep).',
+        '',
+        'Import adds new items and reports what changed. Items that',
+        'differ from ones you already have are conflicts and are kept',
+        'local; add "replace" to overwrite them instead.',
+        '',
+        'The Export/Import buttons in the script editor do the same.',
+        '',
+        'Examples:',
+        '  workspace export',
+        '  workspace import',
+        '  workspace import replace'
+    ],
+    run: handleWorkspaceCommand
+});
+
+registerCommand({
+    name: 'program',
+    aliases: ['prog'],
+    group: 'programs',
+    summary: 'List, record, show, edit, delete, stop or debug programs',
+    params: [
+        { name: 'subcommand', optional: true, complete: () => ['new', 'show', 'edit', 'delete', 'stop', 'pause', 'resume', 'step'] },
+        { name: 'name', optional: true, complete: args => ['show', 'cat', 'edit', 'delete', 'del', 'rm'].includes(args[0]) ? programNames() : [] }
+    ],
+    usage: '[new|show|edit|delete|stop|pause|resume|step] [name]',
+    help: [
+        'Subcommands:',
+        '  new <name>     Start recording a new program',
+        '  show <name>    Display program contents',
+        '  edit <name>    Append commands to existing program',
+        '  delete <name>  Remove a program',
+        '  stop           Stop currently running program',
+        '  pause          Pause the running program before its next line',
+        '  resume         Continue a paused program',
+        '  step           Run one line of a paused program (over calls)',
+        '  (none)         List all programs',
+        '',
+        'Recording mode:',
+        '  After "program new", all commands are recorded.',
+        '  Type "end" to save and exit recording mode.',
+        '',
+        'Special commands (inside programs only):',
+        '  wait <ms>      Pause execution for N milliseconds',
+        '  repeat <n>     Start a loop that repeats N times',
+        '  endrepeat      End of repeat block',
+        '  plan on|off    Route goto moves around objects',
+        '  set x = <expr> Set a variable, used as $x (see "help set")',
+        '  if/elif/else/endif  Conditional blocks (see "help if")',
+        '  while/endwhile Loop while a condition holds',
+        '  def/enddef     Define a subroutine (see "help def")',
+        '  call <name>    Run a subroutine or "call program <name>"',
+        '  # text         Comment (ignored during execution)',
+        '',
+        'Example program:',
+        '  program new pickplace',
+        '  # Spawn a block and pick it up',
+        '  spawn cube 100 150 0',
+        '  wait 500',
+        '  goto 100 150 50',
+        '  goto 100 150 5',
+        '  close',
+        '  wait 500',
+        '  goto 100 150 50',
+        '  # Move to drop position',
+        '  goto -100 150 50',
+        '  goto -100 150 5',
+        '  open',
+        '  wait 500',
+        '  home',
+        '  end',
+        '',
+        'Run with: run pickplace',
+        '',
+        'Tip: Use Shift+Enter to write multi-line programs',
+        'directly, or paste an entire program at once.'
+    ],
+    run: handleProgramCommand
+});
+
+registerCommand({
+    name: 'check',
+    group: 'programs',
+    summary: 'Check a program for mistakes without running it',
+    params: [{ name: 'name', complete: programNames }],
+    help: [
+        'Reports, with line numbers:',
+        '  - unknown commands and arguments that do not fit',
+        '  - unbalanced repeat, if, while and def blocks',
+        '  - calls of undefined subroutines or programs',
+        '  - variables that are never set, and bad expressions',
+        '  - goto/movel targets the arm cannot reach (warning)',
+        '',
+        'The script editor\'s Validate button does the same for',
+        'the open script.'
+    ],
+    run: handleCheckCommand
+});
+
+registerCommand({
+    name: 'run',
+    group: 'programs',
+    summary: 'Execute a program (plan: route around objects)',
+    params: [
+        { name: 'name', complete: programNames },
+        { name: 'plan', optional: true, choices: ['plan'] }
+    ],
+    help: [
+        'Executes all commands in the program sequentially.',
+        'The program waits for each motion to complete.',
+        '',
+        'With "plan", every goto in the program routes around objects',
+        'instead of stopping when the arm is blocked. Scripts can also',
+        'switch this with "plan on" / "plan off".',
+        '',
+        'Use "program stop" to abort execution.',
+        '',
+        'Examples:',
+        '  run pickplace',
+        '  run pickplace plan'
+    ],
+    run: handleRunCommand
+});
+
+registerCommand({
+    name: 'end',
+    group: 'programs',
+    summary: 'Finish recording',
+    run: handleEndCommand
+});
+
+registerCommand({
+    name: 'wait',
+    group: 'script',
+    summary: 'Pause for N milliseconds',
+    params: [{ name: 'ms', type: 'number' }],
+    run: handleWaitCommand
+});
+
+registerCommand({
+    name: 'repeat',
+    group: 'script',
+    summary: 'Start loop (repeat N times)',
+    params: [{ name: 'n', type: 'integer' }],
+    run: handleRepeatCommand
+});
+
+registerCommand({
+    name: 'endrepeat',
+    group: 'script',
+    summary: 'End of repeat block',
+    run: handleEndRepeatCommand
+});
+
+registerCommand({
+    name: 'if',
+    group: 'script',
+    summary: 'Run a block only when a condition holds',
+    params: [{ name: 'condition', rest: true }],
+    help: [
+        'if <condition> ... [elif <condition> ...] [else ...] endif',
+        '',
+        'Conditions are expressions (see "help set") compared with',
+        '== != < <= > >= and combined with and, or, not:',
+        '',
+        '  grip 100',
+        '  if gripped(cube_1)',
+        '    goto 0 150 80',
+        '  elif exists(cube_1) and $tries < 3',
+        '    set tries = $tries + 1',
+        '  else',
+        '    home',
+        '  endif',
+        '',
+        'Condition functions:',
+        '  exists(name)      An object with this name is in the scene',
+        '  gripped()         Any object is held; gripped(name) for one',
+        '  reachable(x,y,z)  The arm can reach this point (cm)'
+    ],
+    run: () => handleBlockCommand('if')
+});
+
+registerCommand({
+    name: 'elif',
+    group: 'script',
+    summary: 'Alternative condition in an if block',
+    params: [{ name: 'condition', rest: true }],
+    run: () => handleBlockCommand('elif')
+});
+
+registerCommand({
+    name: 'else',
+    group: 'script',
+    summary: 'Run when no if/elif condition held',
+    run: () => handleBlockCommand('else')
+});
+
+registerCommand({
+    name: 'endif',
+    group: 'script',
+    summary: 'End of if block',
+    run: () => handleBlockCommand('endif')
+});
+
+registerCommand({
+    name: 'while',
+    group: 'script',
+    summary: 'Repeat a block while a condition holds',
+    params: [{ name: 'condition', rest: true }],
+    help: [
+        'while <condition> ... endwhile',
+        '',
+        'The condition is checked before every pass (see "help if"):',
+        '',
+        '  set x = 60',
+        '  while reachable($x, 150, 20)',
+        '    goto $x 150 20',
+        '    set x = $x + 40',
+        '  endwhile'
+    ],
+    run: () => handleBlockCommand('while')
+});
+
+registerCommand({
+    name: 'endwhile',
+    group: 'script',
+    summary: 'End of while block',
+    run: () => handleBlockCommand('endwhile')
+});
+
+registerCommand({
+    name: 'def',
+    group: 'script',
+    summary: 'Define a subroutine, run with "call"',
+    params: [{ name: 'name(params)', rest: true }],
+    help: [
+        'def <name>(<param>, ...) ... enddef',
+        '',
+        'The lines up to enddef run only when called. Parameters are',
+        'variables inside the subroutine, which sees no other variables:',
+        '',
+        '  def pick(x, y)',
+        '    goto $x $y 60',
+        '    goto $x $y 5',
+        '    grip 100',
+        '    goto $x $y 60',
+        '  enddef',
+        '',
+        '  call pick 100 150',
+        '  call pick 40 $row*80'
+    ],
+    run: () => handleBlockCommand('def')
+});
+
+registerCommand({
+    name: 'enddef',
+    group: 'script',
+    summary: 'End of subroutine',
+    run: () => handleBlockCommand('enddef')
+});
+
+registerCommand({
+    name: 'call',
+    group: 'script',
+    summary: 'Run a subroutine, or another saved program',
+    params: [{ name: 'name', complete: () => ['program'] }, { name: 'args', optional: true, rest: true }],
+    usage: '<name> [args...] | program <name>',
+    help: [
+        '  call <name> [args...]   Run a "def" subroutine; each argument',
+        '                          is an expression (see "help set")',
+        '  call program <name>     Run a saved program, then continue here',
+        '',
+        `Calls can nest (and recurse) up to ${CONFIG.scripts.maxCallDepth} deep. An error inside`,
+        'a call shows the line of every caller.'
+    ],
+    run: () => handleBlockCommand('call')
+});
+
+registerCommand({
+    name: 'set',
+    group: 'script',
+    summary: 'Set a variable; use it as $name or in $name*2+10',
+    params: [{ name: 'name' }, { name: 'expression', optional: true, rest: true }],
+    usage: '<name> = <expression>',
+    help: [
+        'Variables hold numbers for the rest of the program. Any word',
+        'containing $ is evaluated and replaced by its value, so',
+        'coordinates can be computed (no spaces inside such a word):',
+        '',
+        '  set x = 100',
+        '  set step = 60',
+        '  goto $x+$step $y*2 20',
+        '  rotate ($i%2)*90',
+        '',
+        'Operators: + - * / % and parentheses',
+        'Functions: abs min max round floor ceil sqrt sin cos atan2',
+        '           (angles in degrees)',
+        'Conditions: == != < <= > >= and or not (see "help if")',
+        '',
+        'Read-only values of the current state:',
+        '  $tip_x $tip_y $tip_z   Gripper tip position (cm)',
+        '  $base $shoulder $elbow $wrist $rotate   Joint angles (degrees)',
+        '  $gripper               Gripper openness (%)',
+        '  $objects               Number of objects in the scene',
+        '  $time                  Simulation time (seconds)',
+        '  $grip_margin           Spare grip friction (N), 0 when not holding'
+    ],
+    run: handleSetCommand
+});
+
+registerCommand({
+    name: 'plan',
+    group: 'script',
+    summary: 'Route goto moves around objects',
+    params: [{ name: 'mode', choices: ['on', 'off'] }],
+    run: handlePlanCommand
+});
+
+registerCommand({
+    name: 'home',
+    aliases: ['h'],
+    group: 'utility',
+    summary: 'Reset arm to home position',
+    run: handleHomeCommand
+});
+
+registerCommand({
+    name: 'status',
+    aliases: ['s'],
+    group: 'utility',
+    summary: 'Show current state',
+    run: handleStatusCommand
+});
+
+registerCommand({
+    name: 'stop',
+    aliases: ['x'],
+    group: 'utility',
+    summary: 'Stop movement & clear queue',
+    run: handleStopCommand
+});
+
+registerCommand({
+    name: 'speed',
+    group: 'utility',
+    summary: 'Set speed (% of max joint velocity) and profile',
+    params: [
+        { name: 'setting', optional: true, rest: true, complete: () => MOTION_PROFILE_NAMES }
+    ],
+    usage: '[1-100] [trapezoidal|scurve]',
+    help: [
+        'Each joint has a max velocity and acceleration (shown by "speed"',
+        'with no arguments). Moves are timed so the most constrained joint',
+        'runs at its limits and all joints arrive together - small moves',
+        'are quick, large swings take longer.',
+        '',
+        'percent      1-100, share of each joint\'s max velocity',
+        'trapezoidal  Constant acceleration ramps',
+        'scurve       Smooth acceleration ramps (limited jerk, default)',
+        '',
+        'Older scripts gave a move duration in ms (100-5000, default 1000).',
+        'Those values still work with a warning: 1000ms or less is 100%,',
+        'longer ones scale down (speed 2000 runs at 50%).',
+        '',
+        'Examples:',
+        '  speed 50           (half speed)',
+        '  speed 100          (full speed)',
+        '  speed trapezoidal  (switch profile)'
+    ],
+    run: handleSpeedCommand
+});
+
+registerCommand({
+    name: 'seed',
+    group: 'utility',
+    summary: 'Show or set the random seed',
+    params: [{ name: 'n', type: 'integer', optional: true }],
+    help: [
+        'Random spawn positions, physics jitter and planner samples all',
+        'come from one seeded generator, and physics runs in fixed time',
+        'steps. Starting a program with "seed <n>" makes every run give',
+        'identical object positions and grip outcomes.',
+        '',
+        'Without an argument, shows the current seed so a session can',
+        'be replayed.',
+        '',
+        'Examples:',
+        '  seed        (show current seed)',
+        '  seed 42     (replayable runs)'
+    ],
+    run: handleSeedCommand
+});
+
+registerCommand({
+    name: 'limits',
+    group: 'utility',
+    summary: 'Show joint limits',
+    run: showLimits
+});
+
+registerCommand({
+    name: 'reach',
+    group: 'utility',
+    summary: 'Show reachable area',
+    run: handleReachCommand
+});
+
+registerCommand({
+    name: 'pick',
+    group: 'utility',
+    summary: 'Run a short pick motion sequence',
+    run: handlePickCommand
+});
+
+registerCommand({
+    name: 'demo',
+    group: 'utility',
+    summary: 'Run demonstration',
+    run: runDemo
+});
+
+registerCommand({
+    name: 'clear',
+    aliases: ['cls'],
+    group: 'utility',
+    summary: 'Clear terminal',
+    run: () => terminal.clear()
+});
+
+function handleMoveCommand(args) {
+    if (args.length < 4) {
+        terminal.print('Usage: move <base> <shoulder> <elbow> <wrist>', 'error');
+        terminal.print('Example: move 45 30 -45 0', 'info');
+        return;
+    }
+
+    const base = parseFloat(args[0]);
+    const shoulder = parseFloat(args[1]);
+    const elbow = parseFloat(args[2]);
+    const wrist = parseFloat(args[3]);
+
+    if ([base, shoulder, elbow, wrist].some(isNaN)) {
+        terminal.print('Error: All angles must be numbers', 'error');
+        return;
+    }
+
+    terminal.print(`Moving to: B=${base}° S=${shoulder}° E=${elbow}° W=${wrist}°`, 'success');
+    setJointAngles(base, shoulder, elbow, wrist);
+}
+
+// Split command arguments into positional values and key=value options
+// e.g. ['0', '200', '50', 'pitch=30'] -> { positional: ['0', '200', '50'], options: { pitch: '30' } }
+function parseOptionArgs(args) {
+    const positional = [];
+    const options = {};
+    for (const arg of args) {
+        const eq = arg.indexOf('=');
+        if (eq > 0) {
+            options[arg.slice(0, eq)] = arg.slice(eq + 1);
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { positional, options };
+}
+
+// Read the tool options shared by the Cartesian motion commands:
+// pitch=<deg> roll=<deg> elbow=up|down. Returns { pitch, roll, elbow } with
+// null for unset ones, or { error } describing a bad value.
+function readToolOptions(options) {
+    // Optional tool orientation (degrees)
+    const pitch = options.pitch !== undefined ? parseFloat(options.pitch) : null;
+    const roll = options.roll !== undefined ? parseFloat(options.roll) : null;
+
+    if (Number.isNaN(pitch) || Number.isNaN(roll)) {
+        return { error: 'pitch and roll must be numbers (degrees)' };
+    }
+
+    // Optional IK branch override
+    const elbow = options.elbow !== undefined ? options.elbow : null;
+    if (elbow !== null && elbow !== 'up' && elbow !== 'down') {
+        return { error: 'elbow must be "up" or "down"' };
+    }
+
+    return { pitch, roll, elbow };
+}
+
+// Parse the tool options, adding a description of the pose.
+// Prints an error and returns null on bad input.
+function parseToolOptions(options) {
+    const { pitch, roll, elbow, error } = readToolOptions(options);
+    if (error) {
+        terminal.print(`Error: ${error}`, 'error');
+        return null;
+    }
+
+    const poseText = [
+        pitch !== null ? `pitch ${pitch}°` : null,
+        roll !== null ? `roll ${roll}°` : null
+    ].filter(Boolean).join(', ');
+
+    return { pitch, roll, elbow, poseText };
+}
+
+// Parse "<x> <y> <z> [pitch=<deg>] [roll=<deg>] [elbow=up|down] [flags...]"
+// shared by the Cartesian motion commands. Coordinates are returned in both
+// cm (for display) and internal units. Prints an error and returns null on bad input.
+function parsePoseArgs(args, usage, example) {
+    const { positional, options } = parseOptionArgs(args);
+
+    if (positional.length < 3) {
+        terminal.print(`Usage: ${usage}`, 'error');
+        terminal.print(`Example: ${example}`, 'info');
+        return null;
+    }
+
+    // Parse coordinates in cm
+    const xCm = parseFloat(positional[0]);
+    const yCm = parseFloat(positional[1]);
+    const zCm = parseFloat(positional[2]);
+
+    if ([xCm, yCm, zCm].some(isNaN)) {
+        terminal.print('Error: Coordinates must be numbers', 'error');
+        return null;
+    }
+
+    const tool = parseToolOptions(options);
+    if (!tool) return null;
+
+    return {
+        xCm, yCm, zCm,
+        // Convert cm to internal units (1 unit = 100cm)
+        x: xCm / 100,
+        y: yCm / 100,
+        z: zCm / 100,
+        pitch: tool.pitch,
+        roll: tool.roll,
+        elbow: tool.elbow,
+        flags: positional.slice(3),
+        label: `(${xCm}, ${yCm}, ${zCm}) cm${tool.poseText ? ` [${tool.poseText}]` : ''}`
+    };
+}
+
+// Parse a list of "<x> <y> <z>" waypoints (cm) followed by the tool options
+// Returns { points: [{ x, y, z }] (units), pitch, roll, elbow, poseText } or null
+function parseWaypointArgs(args, minPoints, usage, example) {
+    const { positional, options } = parseOptionArgs(args);
+
+    if (positional.length < minPoints * 3 || positional.length % 3 !== 0) {
+        terminal.print(`Usage: ${usage}`, 'error');
+        terminal.print(`Example: ${example}`, 'info');
+        return null;
+    }
+
+    const values = positional.map(parseFloat);
+    if (values.some(isNaN)) {
+        terminal.print('Error: Coordinates must be numbers', 'error');
+        return null;
+    }
+
+    const tool = parseToolOptions(options);
+    if (!tool) return null;
+
+    const points = [];
+    for (let i = 0; i < values.length; i += 3) {
+        points.push({ x: values[i] / 100, y: values[i + 1] / 100, z: values[i + 2] / 100 });
+    }
+
+    return { points, ...tool };
+}
+
+function handleGotoCommand(args) {
+    const pose = parsePoseArgs(
+        args,
+        'goto <x> <y> <z> [pitch=<deg>] [roll=<deg>] [elbow=up|down] [closest] [plan]  (in cm)',
+        'goto 0 200 50'
+    );
+    if (!pose) return;
+
+    const { x, y, z, pitch, roll, elbow } = pose;
+    terminal.print(`Moving gripper to ${pose.label}...`, 'info');
+
+    // 'closest' flag: move as close as possible when the target can't be reached exactly
+    const moveToClosest = pose.flags.includes('closest');
+
+    let result = solveIK(x, y, z, { pitch, roll, elbow });
+
+    if (!result.success) {
+        terminal.print(`Error: ${result.error}`, 'error');
+
+        if (!result.closest) return;
+
+        const { position, orientation } = result.closest.residual;
+        if (!moveToClosest) {
+            // A forced elbow limits the fallback to that branch too
+            const closestText = elbow
+                ? `The target can't be reached with elbow=${elbow}; the closest elbow-${elbow} pose`
+                : 'Closest reachable pose';
+            terminal.print(`${closestText} is ${position.toFixed(1)}cm away (tool angle off by ${orientation.toFixed(1)}°).`, 'info');
+            terminal.print(`Add "closest" to move there anyway: goto ${args.join(' ')} closest`, 'info');
+            return;
+        }
+
+        terminal.print(`Moving as close as possible (${position.toFixed(1)}cm from target, tool angle off by ${orientation.toFixed(1)}°)`, 'warning');
+        result = { success: true, angles: result.closest.angles };
+    } else if (result.method === 'numerical') {
+        terminal.print(`Solved numerically (residual ${(result.residual.position * 10).toFixed(1)}mm, ${result.residual.orientation.toFixed(2)}°)`, 'info');
+    }
+
+    const { base, shoulder, wrist, wristRotate } = result.angles;
+    const elbowAngle = result.angles.elbow;
+    const rollText = wristRotate !== undefined ? ` R=${wristRotate.toFixed(1)}°` : '';
+    const branchText = result.branch ? ` (${result.branch})` : '';
+    terminal.print(`Solution${branchText}: B=${base.toFixed(1)}° S=${shoulder.toFixed(1)}° E=${elbowAngle.toFixed(1)}° W=${wrist.toFixed(1)}°${rollText}`, 'success');
+
+    // 'plan' flag (or a program run with planning): route around objects
+    if (pose.flags.includes('plan') || runningProgram?.plan) {
+        const goal = {
+            base: base * Math.PI / 180,
+            shoulder: shoulder * Math.PI / 180,
+            elbow: elbowAngle * Math.PI / 180,
+            wrist: wrist * Math.PI / 180,
+            wristRotate: wristRotate !== undefined ? wristRotate * Math.PI / 180 : jointAngles.wristRotate
+        };
+        const plan = planCollisionFreePath({ ...jointAngles }, goal);
+        if (!plan.success) {
+            terminal.print(`Planner: ${plan.error}`, 'error');
+            return;
+        }
+        if (!plan.direct) {
+            terminal.print(`Planner: routing around obstacles (${plan.path.length} waypoints)`, 'info');
+        }
+        startPathAnimation(plan.path);
+        return;
+    }
+
+    // Set wrist rotation target before starting animation
+    if (wristRotate !== undefined) {
+        targetAngles.wristRotate = wristRotate * Math.PI / 180;
+    }
+
+    setJointAngles(base, shoulder, elbowAngle, wrist);
+}
+
+function handleMoveLinearCommand(args) {
+    const pose = parsePoseArgs(
+        args,
+        'movel <x> <y> <z> [pitch=<deg>] [roll=<deg>] [elbow=up|down]  (in cm)',
+        'movel 100 150 20'
+    );
+    if (!pose) return;
+
+    // Start from the current tool pose; orientation blends toward the target
+    const start = getCurrentToolPose();
+    const end = {
+        x: pose.x,
+        y: pose.y,
+        z: pose.z,
+        pitch: pose.pitch !== null ? pose.pitch : 0,
+        roll: pose.roll !== null ? pose.roll : start.roll
+    };
+
+    const { samples, length } = sampleLinearPath(start, end);
+    if (length < 0.001 && Math.abs(end.pitch - start.pitch) < 0.1 && Math.abs(end.roll - start.roll) < 0.1) {
+        terminal.print('Already at target.', 'info');
+        return;
+    }
+
+    const plan = planCartesianPath(samples, { elbow: pose.elbow });
+    if (!plan.success) {
+        terminal.print(`movel aborted: ${plan.error}`, 'error');
+        return;
+    }
+
+    terminal.print(`Straight-line move to ${pose.label} (${(length * 100).toFixed(0)}cm, ${plan.path.length} steps)`, 'success');
+    startPathAnimation(plan.path);
+}
+
+function handleMoveCircularCommand(args) {
+    const parsed = parseWaypointArgs(
+        args,
+        2,
+        'movec <via x> <via y> <via z> <x> <y> <z> [pitch=<deg>] [roll=<deg>] [elbow=up|down]  (in cm)',
+        'movec 120 120 30 100 150 20'
+    );
+    if (!parsed) return;
+    if (parsed.points.length !== 2) {
+        terminal.print('Error: movec takes exactly one via point and one end point', 'error');
+        return;
+    }
+
+    // Arc from the current tool pose through the via point; orientation blends toward the end
+    const start = getCurrentToolPose();
+    const [viaPoint, endPoint] = parsed.points;
+    const end = {
+        ...endPoint,
+        pitch: parsed.pitch !== null ? parsed.pitch : 0,
+        roll: parsed.roll !== null ? parsed.roll : start.roll
+    };
+
+    const arc = sampleArcPath(start, viaPoint, end);
+    if (arc.error) {
+        terminal.print(`movec aborted: ${arc.error}`, 'error');
+        return;
+    }
+
+    const plan = planCartesianPath(arc.samples, { elbow: parsed.elbow });
+    if (!plan.success) {
+        terminal.print(`movec aborted: ${plan.error}`, 'error');
+        return;
+    }
+
+    const endCm = `(${(end.x * 100).toFixed(0)}, ${(end.y * 100).toFixed(0)}, ${(end.z * 100).toFixed(0)}) cm`;
+    terminal.print(
+        `Arc move to ${endCm}${parsed.poseText ? ` [${parsed.poseText}]` : ''} ` +
+        `(radius ${(arc.radius * 100).toFixed(0)}cm, ${(arc.length * 100).toFixed(0)}cm, ${plan.path.length} steps)`,
+        'success'
+    );
+    startPathAnimation(plan.path);
+}
+
+function handlePathCommand(args) {
+    const parsed = parseWaypointArgs(
+        args,
+        1,
+        'path <x1> <y1> <z1> [<x2> <y2> <z2> ...] [pitch=<deg>] [roll=<deg>] [elbow=up|down]  (in cm)',
+        'path 100 100 40 120 0 40 100 -100 20'
+    );
+    if (!parsed) return;
+
+    // Spline from the current tool pose through every waypoint; orientation blends toward the end
+    const start = getCurrentToolPose();
+    const waypoints = parsed.points.map(p => ({ ...p }));
+    const last = waypoints[waypoints.length - 1];
+    last.pitch = parsed.pitch !== null ? parsed.pitch : 0;
+    last.roll = parsed.roll !== null ? parsed.roll : start.roll;
+
+    const { samples, length } = sampleSplinePath([start, ...waypoints]);
+    if (length < 0.001 && Math.abs(last.pitch - start.pitch) < 0.1 && Math.abs(last.roll - start.roll) < 0.1) {
+        terminal.print('Already at target.', 'info');
+        return;
+    }
+
+    const plan = planCartesianPath(samples, { elbow: parsed.elbow });
+    if (!plan.success) {
+        terminal.print(`path aborted: ${plan.error}`, 'error');
+        return;
+    }
+
+    terminal.print(
+        `Spline path through ${waypoints.length} waypoint${waypoints.length === 1 ? '' : 's'}` +
+        `${parsed.poseText ? ` [${parsed.poseText}]` : ''} (${(length * 100).toFixed(0)}cm, ${plan.path.length} steps)`,
+        'success'
+    );
+    startPathAnimation(plan.path);
+}
+
+function handleHomeCommand() {
+    terminal.print('Moving to home position (ready stance)...', 'success');
+    // Return to the starting "ready" position
+    // Reset wrist rotation (before the move starts so it animates with it)
+    targetAngles.wristRotate = 0;
+    setJointAngles(180, -20, 90, 45);
+    // Reset gripper to default (50% open)
+    setGripperOpenness(50);
+}
+
+function handleStatusCommand() {
+    terminal.print('');
+    terminal.print('━━━ ARM STATUS ━━━', 'highlight');
+    terminal.print(`Base:     ${(jointAngles.base * 180 / Math.PI).toFixed(1)}°`, 'info');
+    terminal.print(`Shoulder: ${(jointAngles.shoulder * 180 / Math.PI).toFixed(1)}°`, 'info');
+    terminal.print(`Elbow:    ${(jointAngles.elbow * 180 / Math.PI).toFixed(1)}°`, 'info');
+    terminal.print(`Wrist:    ${(jointAngles.wrist * 180 / Math.PI).toFixed(1)}°`, 'info');
+    terminal.print(`Rotate:   ${(jointAngles.wristRotate * 180 / Math.PI).toFixed(1)}°`, 'info');
+    terminal.print(`Gripper:  ${gripperOpenness.toFixed(0)}% open`, 'info');
+    terminal.print(`Branch:   ${getElbowBranch(jointAngles.elbow)}`, 'info');
+
+    const pos = getEndEffectorPosition();
+    // Convert to cm for display
+    const xCm = (pos.x * 100).toFixed(0);
+    const yCm = (pos.y * 100).toFixed(0);
+    const zCm = (pos.z * 100).toFixed(0);
+    const reachCm = (Math.sqrt(pos.x*pos.x + pos.y*pos.y) * 100).toFixed(0);
+
+    terminal.print('', 'info');
+    terminal.print('━━━ GRIPPER TIP POSITION ━━━', 'highlight');
+    terminal.print(`X: ${xCm} cm (left/right)`, 'info');
+    terminal.print(`Y: ${yCm} cm (forward/back)`, 'info');
+    terminal.print(`Z: ${zCm} cm (height)`, 'info');
+    terminal.print('', 'info');
+    terminal.print(`Horizontal reach: ${reachCm} cm`, 'info');
+    terminal.print('');
+}
+
+function handleJointCommand(joint, args) {
+    if (args.length < 1) {
+        const currentAngle = jointAngles[joint] * 180 / Math.PI;
+        terminal.print(`${joint}: ${currentAngle.toFixed(1)}°`, 'info');
+        return;
+    }
+
+    const input = args[0];
+    const currentAngle = jointAngles[joint] * 180 / Math.PI;
+    let angle;
+
+    // Support relative adjustments (+/- prefix)
+    if (input.startsWith('+') || input.startsWith('-')) {
+        const delta = parseFloat(input);
+        if (isNaN(delta)) {
+            terminal.print('Error: Angle must be a number', 'error');
+            return;
+        }
+        angle = currentAngle + delta;
+        terminal.print(`${joint}: ${currentAngle.toFixed(1)}° → ${angle.toFixed(1)}° (${input})`, 'success');
+    } else {
+        angle = parseFloat(input);
+        if (isNaN(angle)) {
+            terminal.print('Error: Angle must be a number', 'error');
+            return;
+        }
+        terminal.print(`Setting ${joint} to ${angle}°`, 'success');
+    }
+
+    // Get current angles and update the specified joint
+    const current = {
+        base: jointAngles.base * 180 / Math.PI,
+        shoulder: jointAngles.shoulder * 180 / Math.PI,
+        elbow: jointAngles.elbow * 180 / Math.PI,
+        wrist: jointAngles.wrist * 180 / Math.PI
+    };
+
+    current[joint] = angle;
+
+    setJointAngles(current.base, current.shoulder, current.elbow, current.wrist);
+}
+
+function handleRotateCommand(args) {
+    if (args.length < 1) {
+        const currentAngle = jointAngles.wristRotate * 180 / Math.PI;
+        terminal.print(`Wrist rotation: ${currentAngle.toFixed(1)}°`, 'info');
+        terminal.print('Usage: rotate <angle> | r <angle>', 'info');
+        terminal.print('Use +/- for relative: r +45, r -30', 'info');
+        return;
+    }
+
+    const input = args[0];
+    const currentAngle = jointAngles.wristRotate * 180 / Math.PI;
+    let angle;
+
+    // Support relative adjustments (+/- prefix)
+    if (input.startsWith('+') || input.startsWith('-')) {
+        const delta = parseFloat(input);
+        if (isNaN(delta)) {
+            terminal.print('Error: Angle must be a number', 'error');
+            return;
+        }
+        angle = currentAngle + delta;
+        terminal.print(`Wrist rotation: ${currentAngle.toFixed(1)}° → ${angle.toFixed(1)}° (${input})`, 'success');
+    } else {
+        angle = parseFloat(input);
+        if (isNaN(angle)) {
+            terminal.print('Error: Angle must be a number', 'error');
+            return;
+        }
+        terminal.print(`Setting wrist rotation to ${angle}°`, 'success');
+    }
+
+    // Clamp to limits and convert to radians
+    const clampedAngle = clampAngle(angle, CONFIG.limits.wristRotate);
+    if (clampedAngle !== angle) {
+        terminal.print(`Clamped to limit: ${clampedAngle}°`, 'warning');
+    }
+
+    targetAngles.wristRotate = clampedAngle * Math.PI / 180;
+    startAnimation();
+}
+
+const MOTION_PROFILE_NAMES = ['trapezoidal', 'scurve'];
+
+const LEGACY_SPEED_DEFAULT_MS = 1000;  // Old "speed <ms>" default, now 100%
+const LEGACY_SPEED_MAX_MS = 5000;
+
+function handleSpeedCommand(args) {
+    if (args.length < 1) {
+        terminal.print(`Current speed: ${CONFIG.animation.speed}% of max joint velocity (${CONFIG.animation.profile} profile)`, 'info');
+        for (const joint of MOTION_JOINTS) {
+            const limit = CONFIG.limits[joint];
+            terminal.print(`  ${joint.padEnd(12)} ${limit.maxVelocity}°/s, ${limit.maxAcceleration}°/s²`, 'info');
+        }
+        return;
+    }
+
+    let speed = null;
+    let profile = null;
+    for (const arg of args) {
+        if (MOTION_PROFILE_NAMES.includes(arg)) {
+            profile = arg;
+            continue;
+        }
+        speed = parseFloat(arg.replace(/%$/, ''));
+        // Before motion profiles speed was a move duration of 100-5000ms
+        // (default 1000ms); keep old scripts running at a matching pace
+        if (!arg.endsWith('%') && speed > 100 && speed <= LEGACY_SPEED_MAX_MS) {
+            const percent = Math.min(100, Math.max(1, Math.round(100 * LEGACY_SPEED_DEFAULT_MS / speed)));
+            terminal.print(`Warning: "speed ${arg}" is the old millisecond form; using ${percent}% (speed now takes 1-100% of max joint velocity)`, 'warning');
+            speed = percent;
+            continue;
+        }
+        if (isNaN(speed) || speed < 1 || speed > 100) {
+            terminal.print('Error: Speed must be between 1 and 100 (% of max joint velocity)', 'error');
+            terminal.print(`Profiles: ${MOTION_PROFILE_NAMES.join(', ')}`, 'info');
+            return;
+        }
+    }
+
+    if (speed !== null) CONFIG.animation.speed = speed;
+    if (profile !== null) CONFIG.animation.profile = profile;
+    terminal.print(`Speed set to ${CONFIG.animation.speed}% of max joint velocity (${CONFIG.animation.profile} profile)`, 'success');
+}
+
+function handleSeedCommand(args) {
+    if (args.length < 1) {
+        terminal.print(`Current random seed: ${randomSeed}`, 'info');
+        terminal.print(`Use "seed ${randomSeed}" at the start of a program to replay it exactly.`, 'info');
+        return;
+    }
+
+    const seed = Number(args[0]);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        terminal.print('Error: Seed must be a whole number between 0 and 4294967295', 'error');
+        return;
+    }
+
+    seedRandom(seed);
+    terminal.print(`Random seed set to ${seed}`, 'success');
+}
+
+function handleReachCommand() {
+    const armLength = CONFIG.segments.shoulderLength + CONFIG.segments.elbowLength +
+                      CONFIG.segments.wristLength + CONFIG.segments.gripperLength;
+    const baseHeight = CONFIG.segments.baseHeight + 0.15;
+    terminal.print('');
+    terminal.print('━━━ REACHABLE AREA ━━━', 'highlight');
+    terminal.print(`Total arm length: ${(armLength * 100).toFixed(0)} cm`, 'info');
+    terminal.print(`Max horizontal reach (Y): ~${(armLength * 95).toFixed(0)} cm`, 'info');
+    terminal.print(`Max height (Z): ~${((baseHeight + armLength) * 100).toFixed(0)} cm`, 'info');
+    terminal.print(`Shoulder height: ${(baseHeight * 100).toFixed(0)} cm`, 'info');
+    terminal.print('');
+}
+
+function showLimits() {
+    terminal.print('');
+    terminal.print('━━━ JOINT LIMITS ━━━', 'highlight');
+    terminal.print(`Base:     ${CONFIG.limits.base.min}° to ${CONFIG.limits.base.max}°`, 'info');
+    terminal.print(`Shoulder: ${CONFIG.limits.shoulder.min}° to ${CONFIG.limits.shoulder.max}°`, 'info');
+    terminal.print(`Elbow:    ${CONFIG.limits.elbow.min}° to ${CONFIG.limits.elbow.max}°`, 'info');
+    terminal.print(`Wrist:    ${CONFIG.limits.wrist.min}° to ${CONFIG.limits.wrist.max}°`, 'info');
+    terminal.print(`Rotate:   ${CONFIG.limits.wristRotate.min}° to ${CONFIG.limits.wristRotate.max}°`, 'info');
+    terminal.print('');
+}
+
+// Preset positions - realistic robot arm poses
+const PRESETS = {
+    home: { base: 180, shoulder: -20, elbow: 90, wrist: 45, rotate: 0, desc: 'Home/ready stance (default)' },
+    upright: { base: 0, shoulder: 0, elbow: 0, wrist: 0, rotate: 0, desc: 'Fully upright (all zeros)' },
+    rest: { base: 0, shoulder: 70, elbow: 110, wrist: -60, rotate: 0, desc: 'Folded rest position' },
+    reach: { base: 0, shoulder: 50, elbow: 30, wrist: 10, rotate: 0, desc: 'Forward reach' },
+    up: { base: 0, shoulder: -40, elbow: 20, wrist: 60, rotate: 0, desc: 'Reaching up' },
+    down: { base: 0, shoulder: 80, elbow: 100, wrist: -90, rotate: 0, desc: 'Reaching to floor' },
+    left: { base: -90, shoulder: -20, elbow: 90, wrist: 45, rotate: 0, desc: 'Facing left' },
+    right: { base: 90, shoulder: -20, elbow: 90, wrist: 45, rotate: 0, desc: 'Facing right' }
+};
+
+// User-saved positions
+const savedPositions = Object.create(null);  // No prototype, so any name is a plain key
+
+// Position names are stored lowercase and may not shadow a preset
+function isPositionName(name) {
+    return /^\S+$/.test(name) && name === name.toLowerCase() && !Object.hasOwn(PRESETS, name);
+}
+
+// User programs (scripts)
+const programs = Object.create(null);  // No prototype, so any name is a plain key
+const PROGRAM_NAME_PATTERN = /^[a-z0-9_-]+$/;  // Names are stored lowercase
+let programMode = null;  // null or { name: string, commands: [] }
+let runningProgram = null;  // null or the state built by runScript
+
+// Built-in demo program
+const builtInScripts = {
+    demo: {
+        content: `# Demo script - pick and place demonstration
+spawn cube 100 100 0 120mm
+spawn sphere 100 -100 0 120mm
+spawn cylinder -100 100 0 120mm
+g 100 100 50
+r 45
+grip 100
+g 100 100 0
+grip 0
+g 100 100 50
+g 200 100 50
+g 200 100 10
+grip 100
+g 200 100 50
+g 100 -100 50
+g 100 -100 0
+grip 0
+g 100 -100 50
+g 100 200 50
+g 100 200 10
+grip 100
+g 100 200 50
+g -100 100 50
+g -100 100 0
+grip 0
+g -100 100 50
+g 150 150 50
+g 150 150 10
+grip 100
+g 150 150 50
+home
+wait 1000
+remove all`,
+        builtIn: true
+    }
+};
+
+// Register built-in programs
+for (const name in builtInScripts) {
+    const script = builtInScripts[name];
+    const lines = script.content.split('\n')
+        .map(l => l.trim())
+        .filter(l => l && !l.startsWith('#'));
+    programs[name] = {
+        commands: lines,
+        created: 'built-in'
+    };
+}
+
+function handlePresetCommand(args) {
+    if (args.length < 1) {
+        terminal.print('');
+        terminal.print('━━━ AVAILABLE PRESETS ━━━', 'highlight');
+        for (const [name, preset] of Object.entries(PRESETS)) {
+            terminal.print(`  ${name.padEnd(8)} - ${preset.desc}`, 'info');
+        }
+        terminal.print('');
+        terminal.print('Usage: preset <name> | p <name>', 'info');
+        return;
+    }
+
+    const presetName = args[0].toLowerCase();
+    const preset = PRESETS[presetName];
+
+    if (!preset) {
+        terminal.print(`Unknown preset: ${presetName}`, 'error');
+        terminal.print('Type "preset" to see available presets.', 'info');
+        return;
+    }
+
+    terminal.print(`Moving to preset: ${presetName} (${preset.desc})`, 'success');
+
+    // Set wrist rotation target before starting animation
+    const rotateRad = (preset.rotate !== undefined ? preset.rotate : 0) * Math.PI / 180;
+    targetAngles.wristRotate = rotateRad;
+
+    setJointAngles(preset.base, preset.shoulder, preset.elbow, preset.wrist);
+}
+
+function handlePickCommand(args) {
+    // Simulate a pick and place operation
+    terminal.print('Executing pick sequence...', 'warning');
+
+    const sequence = [
+        'preset down',
+        'e +20',
+        'preset home'
+    ];
+
+    for (const cmd of sequence) {
+        animationQueue.push(cmd);
+    }
+
+    if (!isAnimating && animationQueue.length > 0) {
+        processCommand(animationQueue.shift());
+    }
+}
+
+function handleStopCommand() {
+    if (isAnimating || animationQueue.length > 0) {
+        isAnimating = false;
+        animationQueue = [];
+        // Finalize at current position
+        targetAngles.base = jointAngles.base;
+        targetAngles.shoulder = jointAngles.shoulder;
+        targetAngles.elbow = jointAngles.elbow;
+        targetAngles.wrist = jointAngles.wrist;
+        targetAngles.wristRotate = jointAngles.wristRotate;
+        view.setAnimating(false);
+        terminal.print('Movement stopped. Queue cleared.', 'warning');
+    } else {
+        terminal.print('No movement in progress.', 'info');
+    }
+}
+
+function handleGripForceCommand(args) {
+    if (args.length < 1) {
+        terminal.print(`Grip force: ${CONFIG.gripper.force} N per finger, pad friction ${CONFIG.gripper.friction}`, 'info');
+        return;
+    }
+
+    const force = parseFloat(args[0]);
+    if (!WORKSPACE_SETTINGS['gripper.force'](force)) {
+        terminal.print('Error: Force must be between 1 and 500 N', 'error');
+        return;
+    }
+    let friction = CONFIG.gripper.friction;
+    if (args.length > 1) {
+        friction = parseFloat(args[1]);
+        if (!WORKSPACE_SETTINGS['gripper.friction'](friction)) {
+            terminal.print('Error: Friction must be between 0 and 2', 'error');
+            return;
+        }
+    }
+
+    CONFIG.gripper.force = force;
+    CONFIG.gripper.friction = friction;
+    terminal.print(`Grip force set to ${force} N per finger, pad friction ${friction}`, 'success');
+}
+
+function handleGrippedCommand() {
+    if (!grippedObject) {
+        terminal.print('Not holding anything.', 'info');
+        return;
+    }
+
+    const obj = grippedObject;
+    const hold = getGripHold(obj);
+    terminal.print('');
+    terminal.print('━━━ GRIP ━━━', 'highlight');
+    terminal.print(`  Holding:   ${obj.name} (${obj.material}, ${formatMass(obj.mass)})`, 'info');
+    terminal.print(`  Needed:    ${hold.needed.toFixed(1)} N of friction`, 'info');
+    terminal.print(`  Available: ${hold.available.toFixed(1)} N (2 × ${CONFIG.gripper.force} N × friction ${hold.friction.toFixed(2)})`, 'info');
+    const share = hold.margin / hold.available * 100;
+    terminal.print(`  Margin:    ${hold.margin.toFixed(1)} N (${share.toFixed(0)}% to spare)`, share < 20 ? 'warning' : 'success');
+    terminal.print('');
+}
+
+function handleGripCommand(args) {
+    if (args.length < 1) {
+        // Show current gripper state
+        terminal.print(`Gripper: ${gripperOpenness.toFixed(0)}% open`, 'info');
+        terminal.print('Usage: grip <0-100> | open | close', 'info');
+        return;
+    }
+
+    const input = args[0];
+
+    // Support relative adjustments (+/- prefix)
+    let percent;
+    if (input.startsWith('+') || input.startsWith('-')) {
+        const delta = parseFloat(input);
+        if (isNaN(delta)) {
+            terminal.print('Error: Value must be a number', 'error');
+            return;
+        }
+        percent = gripperOpenness + delta;
+        terminal.print(`Gripper: ${gripperOpenness.toFixed(0)}% → ${Math.max(0, Math.min(100, percent)).toFixed(0)}% (${input})`, 'success');
+    } else {
+        percent = parseFloat(input);
+        if (isNaN(percent)) {
+            terminal.print('Error: Value must be a number (0-100)', 'error');
+            return;
+        }
+
+        if (percent <= 0) {
+            terminal.print('Closing gripper...', 'success');
+        } else if (percent >= 100) {
+            terminal.print('Opening gripper fully...', 'success');
+        } else {
+            terminal.print(`Setting gripper to ${percent.toFixed(0)}% open...`, 'success');
+        }
+    }
+
+    setGripperOpenness(percent);
+}
+
+// Check if a position is reachable by the arm (in cm)
+function isPositionReachable(xCm, yCm, zCm) {
+    // Convert cm to internal units (1 unit = 100cm)
+    const x = xCm / 100;
+    const y = yCm / 100;
+    const z = zCm / 100;
+
+    const result = solveIK(x, y, z);
+    return result.success;
+}
+
+// Get the minimum horizontal reach distance at a given height (in cm)
+// This is the inner boundary where the arm cannot reach
+function getMinReachAtHeight(heightCm) {
+    // Test positions at this height to find minimum reachable distance
+    // Start from center and move outward until we find a reachable position
+    for (let dist = 0; dist <= 300; dist += 5) {
+        if (isPositionReachable(dist, 0, heightCm)) {
+            return dist;
+        }
+    }
+    return 300; // Fallback - shouldn't happen
+}
+
+// Parse spawn's material=<name> mass=<g> friction=<n> restitution=<n> options
+// into createObject properties. Prints an error and returns null on bad input.
+function parseMaterialOptions(options) {
+    const properties = {};
+
+    if (options.material !== undefined) {
+        if (!Object.hasOwn(MATERIALS, options.material)) {
+            terminal.print(`Error: Unknown material "${options.material}" (use ${Object.keys(MATERIALS).join(', ')})`, 'error');
+            return null;
+        }
+        properties.material = options.material;
+    }
+
+    for (const [key, check] of Object.entries(MATERIAL_PROPERTY_CHECKS)) {
+        if (options[key] === undefined) continue;
+        const value = parseFloat(options[key]);
+        if (!Number.isFinite(value) || !check.valid(value)) {
+            terminal.print(`Error: ${key} must be ${check.text}`, 'error');
+            return null;
+        }
+        properties[key] = key === 'mass' ? value / 1000 : value;  // grams to kg
+    }
+
+    return properties;
+}
+
+function handleSpawnCommand(args) {
+    const parsed = parseOptionArgs(args);
+    const properties = parseMaterialOptions(parsed.options);
+    if (!properties) return;
+    args = parsed.positional;
+
+    // Parse type (default: cube)
+    let type = 'cube';
+    let x, y, z;
+    let sizeMm = 80; // Default size: 80mm
+
+    if (args.length >= 1 && ['cube', 'cylinder', 'sphere'].includes(args[0])) {
+        type = args[0];
+        args = args.slice(1);
+    }
+
+    // Check for size parameter (e.g., "50mm" or "120mm")
+    const sizeArgIndex = args.findIndex(arg => /^\d+mm$/i.test(arg));
+    if (sizeArgIndex !== -1) {
+        sizeMm = parseInt(args[sizeArgIndex]);
+        if (sizeMm < 10 || sizeMm > 500) {
+            terminal.print('Error: Size must be between 10mm and 500mm', 'error');
+            return;
+        }
+        args.splice(sizeArgIndex, 1); // Remove size arg from position parsing
+    }
+
+    // Parse position (default: random within reach)
+    if (args.length >= 3) {
+        x = parseFloat(args[0]);
+        y = parseFloat(args[1]);
+        z = parseFloat(args[2]);
+
+        if (isNaN(x) || isNaN(y) || isNaN(z)) {
+            terminal.print('Error: Position must be numbers (x y z in cm)', 'error');
+            return;
+        }
+
+        // Validate that the position is reachable by the arm
+        if (!isPositionReachable(x, y, z)) {
+            const horizontalDist = Math.sqrt(x * x + y * y).toFixed(0);
+            const maxReach = (CONFIG.segments.shoulderLength + CONFIG.segments.elbowLength) * 100;
+            const minReach = getMinReachAtHeight(z);
+            terminal.print(`Error: Position (${x.toFixed(0)}, ${y.toFixed(0)}, ${z.toFixed(0)}) cm is not reachable by the arm`, 'error');
+            terminal.print(`  Horizontal distance: ${horizontalDist} cm`, 'info');
+            terminal.print(`  Reachable range at height ${z.toFixed(0)} cm: ~${minReach}-${maxReach.toFixed(0)} cm`, 'info');
+            return;
+        }
+    } else {
+        const position = findRandomSpawnPosition();
+        if (!position) {
+            terminal.print('Error: Could not find a valid spawn position', 'error');
+            return;
+        }
+        ({ x, y, z } = position);
+    }
+
+    const obj = createObject(type, x, y, z, sizeMm, properties);
+    terminal.print(`Spawned ${obj.name} (${sizeMm}mm ${obj.material}, ${formatMass(obj.mass)}) at (${x.toFixed(0)}, ${y.toFixed(0)}, ${z.toFixed(0)}) cm`, 'success');
+}
+
+// Random position within arm reach, ensuring it's actually reachable
+// Returns { x, y, z } in cm, or null if none was found
+function findRandomSpawnPosition() {
+    const maxReach = (CONFIG.segments.shoulderLength + CONFIG.segments.elbowLength) * 100;
+    const maxAttempts = 50;
+
+    for (let attempts = 0; attempts < maxAttempts; attempts++) {
+        const angle = random() * Math.PI * 2;
+        // Use a range that's more likely to be reachable (between min reach and 80% of max)
+        const minDist = 85; // Approximate minimum horizontal reach
+        const maxDist = maxReach * 0.8;
+        const distance = minDist + random() * (maxDist - minDist);
+        const x = Math.cos(angle) * distance;
+        const y = Math.sin(angle) * distance;
+        const z = 4 + random() * 30;  // 4-34cm height (object size + some margin, will fall to floor)
+        if (isPositionReachable(x, y, z)) return { x, y, z };
+    }
+    return null;
+}
+
+// Spawn objects and time the physics update, to see how large scenes scale
+function handleBenchCommand(args) {
+    const BENCH_FRAMES = 180;  // Three seconds of simulated time
+    const count = Number(args[0]);
+    if (!Number.isInteger(count) || count < 1 || count > 1000) {
+        terminal.print('Error: Object count must be a whole number between 1 and 1000', 'error');
+        return;
+    }
+    const naive = args[1] === 'naive';
+
+    const types = ['cube', 'cylinder', 'sphere'];
+    for (let i = 0; i < count; i++) {
+        const position = findRandomSpawnPosition();
+        if (!position) {
+            terminal.print('Error: Could not find a valid spawn position', 'error');
+            return;
+        }
+        createObject(types[i % types.length], position.x, position.y, position.z);
+    }
+
+    // The naive run checks every pair and keeps every object awake
+    const physicsSettings = { ...CONFIG.physics };
+    if (naive) {
+        Object.assign(CONFIG.physics, { sweepAndPrune: false, sleeping: false });
+        sceneObjects.forEach(obj => obj.wake());
+    }
+
+    const times = [];
+    try {
+        for (let frame = 0; frame < BENCH_FRAMES; frame++) {
+            const start = performance.now();
+            updatePhysics(CONFIG.simulation.timestep);
+            times.push(performance.now() - start);
+        }
+    } finally {
+        Object.assign(CONFIG.physics, physicsSettings);
+    }
+
+    const framesPerSecond = Math.round(1 / CONFIG.simulation.timestep);
+    const average = list => list.reduce((sum, time) => sum + time, 0) / list.length;
+    const asleep = sceneObjects.filter(obj => obj.sleeping).length;
+
+    terminal.print('');
+    terminal.print('━━━ PHYSICS BENCHMARK ━━━', 'highlight');
+    terminal.print(`  Objects:      ${sceneObjects.length} (${count} spawned)`, 'info');
+    terminal.print(`  Mode:         ${naive ? 'naive (all pairs, no sleeping)' : 'sweep and prune, sleeping'}`, 'info');
+    terminal.print(`  Physics:      ${average(times).toFixed(2)} ms/frame over ${BENCH_FRAMES} frames`, 'info');
+    terminal.print(`  First second: ${average(times.slice(0, framesPerSecond)).toFixed(2)} ms/frame`, 'info');
+    terminal.print(`  Last second:  ${average(times.slice(-framesPerSecond)).toFixed(2)} ms/frame`, 'info');
+    terminal.print(`  Worst frame:  ${Math.max(...times).toFixed(2)} ms`, 'info');
+    terminal.print(`  Asleep:       ${asleep} of ${sceneObjects.length} objects`, 'info');
+    terminal.print('');
+}
+
+// Mass in kg as "120 g" or "4.0 kg"
+function formatMass(mass) {
+    return mass < 1 ? `${(mass * 1000).toFixed(0)} g` : `${mass.toFixed(1)} kg`;
+}
+
+function handleObjectsCommand() {
+    if (sceneObjects.length === 0) {
+        terminal.print('No objects in scene.', 'info');
+        terminal.print('Use "spawn" to add objects.', 'info');
+        return;
+    }
+
+    terminal.print('');
+    terminal.print('━━━ SCENE OBJECTS ━━━', 'highlight');
+    for (const obj of sceneObjects) {
+        // Convert Three.js position to robotics coordinates (cm)
+        const x = (obj.mesh.position.x * 100).toFixed(0);
+        const y = (obj.mesh.position.z * 100).toFixed(0);  // Z in Three.js is Y in robotics
+        const z = (obj.mesh.position.y * 100).toFixed(0);  // Y in Three.js is Z in robotics
+        const status = obj.isGripped ? ' [GRIPPED]' : '';
+        terminal.print(`  ${obj.name}: (${x}, ${y}, ${z}) cm, ${obj.material} ${formatMass(obj.mass)}${status}`, obj.isGripped ? 'success' : 'info');
+    }
+    terminal.print('');
+}
+
+function handleRemoveCommand(args) {
+    if (args.length < 1) {
+        terminal.print('Usage: remove <name|all>', 'error');
+        terminal.print('Type "objects" to see object names.', 'info');
+        return;
+    }
+
+    const target = args[0].toLowerCase();
+
+    if (target === 'all') {
+        const count = sceneObjects.length;
+        removeAllObjects();
+        terminal.print(`Removed all ${count} object(s).`, 'success');
+        return;
+    }
+
+    // Find object by name
+    const obj = sceneObjects.find(o => o.name.toLowerCase() === target);
+    if (!obj) {
+        terminal.print(`Error: No object named "${target}"`, 'error');
+        terminal.print('Type "objects" to see object names.', 'info');
+        return;
+    }
+
+    removeObject(obj);
+    terminal.print(`Removed ${target}.`, 'success');
+}
+
+function handleSaveCommand(args) {
+    if (args.length < 1) {
+        terminal.print('Usage: save <name>', 'error');
+        terminal.print('Example: save pickup1', 'info');
+        return;
+    }
+
+    const name = args[0].toLowerCase();
+
+    // Don't allow overwriting built-in presets
+    if (Object.hasOwn(PRESETS, name)) {
+        terminal.print(`Error: "${name}" is a built-in preset and cannot be overwritten.`, 'error');
+        return;
+    }
+
+    const pos = getEndEffectorPosition();
+    savedPositions[name] = {
+        base: jointAngles.base * 180 / Math.PI,
+        shoulder: jointAngles.shoulder * 180 / Math.PI,
+        elbow: jointAngles.elbow * 180 / Math.PI,
+        wrist: jointAngles.wrist * 180 / Math.PI,
+        wristRotate: jointAngles.wristRotate * 180 / Math.PI,
+        gripper: gripperOpenness,
+        desc: `Saved position (${(pos.x * 100).toFixed(0)}, ${(pos.y * 100).toFixed(0)}, ${(pos.z * 100).toFixed(0)}) cm`
+    };
+
+    persistSavedPositions();
+    terminal.print(`Position saved as "${name}"`, 'success');
+    terminal.print(`  B=${savedPositions[name].base.toFixed(1)}° S=${savedPositions[name].shoulder.toFixed(1)}° E=${savedPositions[name].elbow.toFixed(1)}° W=${savedPositions[name].wrist.toFixed(1)}° R=${savedPositions[name].wristRotate.toFixed(1)}° G=${savedPositions[name].gripper.toFixed(0)}%`, 'info');
+}
+
+function handleLoadCommand(args) {
+    if (args.length < 1) {
+        terminal.print('Usage: load <name>', 'error');
+        terminal.print('Type "positions" to see saved positions.', 'info');
+        return;
+    }
+
+    const name = args[0].toLowerCase();
+    const position = savedPositions[name];
+
+    if (!position) {
+        terminal.print(`Error: No saved position named "${name}"`, 'error');
+        terminal.print('Type "positions" to see saved positions.', 'info');
+        return;
+    }
+
+    terminal.print(`Loading position: ${name}`, 'success');
+
+    // Set wrist rotation target before starting animation
+    const rotateRad = position.wristRotate !== undefined
+        ? clampAngle(position.wristRotate, CONFIG.limits.wristRotate) * Math.PI / 180
+        : 0;
+    targetAngles.wristRotate = rotateRad;
+
+    // Animate to position (this will include wristRotate since we set it above)
+    setJointAngles(position.base, position.shoulder, position.elbow, position.wrist);
+
+    // Restore gripper state if saved
+    if (typeof position.gripper === 'number') {
+        setGripperOpenness(position.gripper);
+    }
+}
+
+function handlePositionsCommand(args) {
+    if (args[0] === 'export') {
+        exportPositionsFile(args[1] || 'robot-positions.json');
+        return;
+    }
+    if (args[0] === 'import') {
+        importPositionsFile(args[1]);
+        return;
+    }
+    if (args.length > 0) {
+        terminal.print('Usage: positions [export [file] | import [file]]', 'error');
+        return;
+    }
+
+    const names = Object.keys(savedPositions);
+
+    if (names.length === 0) {
+        terminal.print('No saved positions.', 'info');
+        terminal.print('Use "save <name>" to save the current position.', 'info');
+        return;
+    }
+
+    terminal.print('');
+    terminal.print('━━━ SAVED POSITIONS ━━━', 'highlight');
+    for (const [name, pos] of Object.entries(savedPositions)) {
+        terminal.print(`  ${name.padEnd(12)} - ${pos.desc}`, 'info');
+    }
+    terminal.print('');
+    terminal.print('Use "load <name>" to go to a saved position.', 'info');
+    terminal.print('Use "delete <name>" to remove a saved position.', 'info');
+    terminal.print('Use "positions export" to save them to a file.', 'info');
+}
+
+function handleDeletePositionCommand(args) {
+    if (args.length < 1) {
+        terminal.print('Usage: delete <name>', 'error');
+        return;
+    }
+
+    const name = args[0].toLowerCase();
+
+    if (!savedPositions[name]) {
+        terminal.print(`Error: No saved position named "${name}"`, 'error');
+        return;
+    }
+
+    delete savedPositions[name];
+    persistSavedPositions();
+    terminal.print(`Position "${name}" deleted.`, 'success');
+}
+
+// ============================================================================
+// SAVED POSITION PERSISTENCE
+// ============================================================================
+
+// Saved positions are kept in storage and exchanged as files in one versioned
+// format: { format, version, positions: { name: position } }.
+// Version 1 (and bare { name: position } maps) predate wrist roll and gripper
+// capture; migration fills in wristRotate 0 and a null gripper (left as is on load).
+
+const POSITIONS_STORAGE_KEY = 'robotarm_positions';
+const POSITIONS_FORMAT = 'robotarm-positions';
+const POSITIONS_FORMAT_VERSION = 2;
+
+// Bring position data from any known version up to the current one
+// Returns { positions, skipped } where skipped lists unusable entry names
+function migratePositions(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('not a saved positions file');
+    }
+
+    const wrapped = data.format === POSITIONS_FORMAT;
+    const version = wrapped ? data.version : 1;
+    let entries = wrapped ? data.positions : data;
+
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`unknown format version ${version}`);
+    }
+    if (version > POSITIONS_FORMAT_VERSION) {
+        throw new Error(`format version ${version} is newer than this simulator supports`);
+    }
+
+    if (version < 2) {
+        const upgraded = Object.create(null);
+        for (const [name, pos] of Object.entries(entries || {})) {
+            upgraded[name] = { wristRotate: 0, gripper: null, ...pos };
+        }
+        entries = upgraded;
+    }
+
+    const positions = Object.create(null);
+    const skipped = [];
+    for (const [name, pos] of Object.entries(entries || {})) {
+        const position = normalizePosition(pos);
+        if (position) {
+            positions[name.toLowerCase()] = position;
+        } else {
+            skipped.push(name);
+        }
+    }
+
+    return { positions, skipped };
+}
+
+// Clean copy of a current-version position, or null if it is unusable
+function normalizePosition(pos) {
+    const joints = pos && [pos.base, pos.shoulder, pos.elbow, pos.wrist, pos.wristRotate];
+    if (!joints || !joints.every(Number.isFinite)) return null;
+
+    return {
+        base: pos.base,
+        shoulder: pos.shoulder,
+        elbow: pos.elbow,
+        wrist: pos.wrist,
+        wristRotate: pos.wristRotate,
+        gripper: Number.isFinite(pos.gripper) ? pos.gripper : null,
+        desc: typeof pos.desc === 'string' ? pos.desc : 'Saved position'
+    };
+}
+
+function serializePositions() {
+    return {
+        format: POSITIONS_FORMAT,
+        version: POSITIONS_FORMAT_VERSION,
+        positions: savedPositions
+    };
+}
+
+function persistSavedPositions() {
+    try {
+        storage.setItem(POSITIONS_STORAGE_KEY, JSON.stringify(serializePositions()));
+    } catch (e) {
+        terminal.print(`Warning: Could not persist saved positions (${e.message})`, 'warning');
+    }
+}
+
+function loadPersistedPositions() {
+    let positions;
+    try {
+        const data = storage.getItem(POSITIONS_STORAGE_KEY);
+        if (!data) return;
+        ({ positions } = migratePositions(JSON.parse(data)));
+    } catch (e) {
+        terminal.print(`Warning: Ignoring stored positions (${e.message})`, 'warning');
+        return;
+    }
+
+    for (const name of Object.keys(savedPositions)) delete savedPositions[name];
+    Object.assign(savedPositions, positions);
+}
+
+function exportPositionsFile(fileName) {
+    const count = Object.keys(savedPositions).length;
+    if (count === 0) {
+        terminal.print('No saved positions to export.', 'info');
+        return;
+    }
+
+    try {
+        files.save(fileName, JSON.stringify(serializePositions(), null, 2));
+    } catch (e) {
+        terminal.print(`Error: Could not export positions (${e.message})`, 'error');
+        return;
+    }
+    terminal.print(`Exported ${count} position(s) to ${fileName}`, 'success');
+}
+
+function importPositionsFile(fileName) {
+    const onError = message => terminal.print(`Error: Could not import positions (${message})`, 'error');
+
+    const onLoad = text => {
+        let result;
+        try {
+            result = migratePositions(JSON.parse(text));
+        } catch (e) {
+            onError(e.message);
+            return;
+        }
+
+        let imported = 0;
+        for (const [name, pos] of Object.entries(result.positions)) {
+            if (!isPositionName(name)) {
+                result.skipped.push(name);
+                continue;
+            }
+            savedPositions[name] = pos;
+            imported++;
+        }
+        persistSavedPositions();
+
+        terminal.print(`Imported ${imported} position(s)`, 'success');
+        if (result.skipped.length > 0) {
+            terminal.print(`  Skipped: ${result.skipped.join(', ')}`, 'warning');
+        }
+    };
+
+    try {
+        files.open(fileName, onLoad, onError);
+    } catch (e) {
+        onError(e.message);
+    }
+}
+
+// ============================================================================
+// SCENE SAVE/LOAD
+// ============================================================================
+
+// Scenes are stored together under one storage key as { name: scene }.
+// Positions, velocities and joints use the same units as the commands
+// (cm, cm/s, degrees); orientations are quaternions in Three.js axes.
+
+const SCENE_STORAGE_KEY = 'robotarm_scenes';
+const SCENE_FORMAT_VERSION = 1;
+
+// No prototype on the result, so any name is a plain key
+function readSavedScenes() {
+    const data = storage.getItem(SCENE_STORAGE_KEY);
+    return Object.assign(Object.create(null), data ? JSON.parse(data) : {});
+}
+
+function serializeScene() {
+    const toDegrees = angle => angle * 180 / Math.PI;
+    return {
+        version: SCENE_FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+        joints: {
+            base: toDegrees(jointAngles.base),
+            shoulder: toDegrees(jointAngles.shoulder),
+            elbow: toDegrees(jointAngles.elbow),
+            wrist: toDegrees(jointAngles.wrist),
+            wristRotate: toDegrees(jointAngles.wristRotate)
+        },
+        gripper: gripperOpenness,
+        objectCounter,
+        objects: sceneObjects.map(obj => ({
+            name: obj.name,
+            type: obj.type,
+            sizeMm: Math.round(obj.size.x * 1000),
+            color: obj.mesh.material.color.getHex(),
+            // Three.js Y-up back to robotics Z-up
+            position: { x: obj.mesh.position.x * 100, y: obj.mesh.position.z * 100, z: obj.mesh.position.y * 100 },
+            velocity: { x: obj.velocity.x * 100, y: obj.velocity.z * 100, z: obj.velocity.y * 100 },
+            quaternion: obj.mesh.quaternion.toArray(),
+            // Three.js axes like the quaternion, rad/s
+            angularVelocity: obj.angularVelocity.toArray(),
+            material: obj.material,
+            mass: obj.mass,
+            friction: obj.friction,
+            restitution: obj.restitution,
+            grip: obj.isGripped ? {
+                offset: obj.grippedOffset.toArray(),
+                rotation: obj.grippedRotation.toArray()
+            } : null
+        }))
+    };
+}
+
+// Checked copy of a saved object, or null if anything is missing or malformed
+function normalizeSceneObject(saved) {
+    const isVector = (v, keys) => !!v && keys.every(key => Number.isFinite(v[key]));
+    const isArray = (a, length) => Array.isArray(a) && a.length === length && a.every(Number.isFinite);
+
+    if (!saved || typeof saved.name !== 'string' || !['cube', 'cylinder', 'sphere'].includes(saved.type)) return null;
+    if (!Number.isFinite(saved.sizeMm) || saved.sizeMm < 10 || saved.sizeMm > 500) return null;
+    if (!Number.isInteger(saved.color) || !isArray(saved.quaternion, 4)) return null;
+    if (!isVector(saved.position, ['x', 'y', 'z']) || !isVector(saved.velocity, ['x', 'y', 'z'])) return null;
+    // Scenes saved before objects could rotate have no spin
+    if (saved.angularVelocity !== undefined && !isArray(saved.angularVelocity, 3)) return null;
+    if (saved.grip && !(isArray(saved.grip.offset, 3) && isArray(saved.grip.rotation, 4))) return null;
+
+    // Materials follow the spawn rules; scenes saved before materials, or
+    // naming an unknown one, get the default, and bad values its preset ones
+    const properties = {
+        material: Object.hasOwn(MATERIALS, saved.material) ? saved.material : DEFAULT_MATERIAL
+    };
+    if (properties.material === saved.material) {
+        for (const [key, check] of Object.entries(MATERIAL_PROPERTY_CHECKS)) {
+            if (Number.isFinite(saved[key]) && check.valid(saved[key])) properties[key] = saved[key];
+        }
+    }
+
+    return {
+        name: saved.name,
+        type: saved.type,
+        sizeMm: saved.sizeMm,
+        color: saved.color,
+        position: { x: saved.position.x, y: saved.position.y, z: saved.position.z },
+        velocity: { x: saved.velocity.x, y: saved.velocity.y, z: saved.velocity.z },
+        quaternion: saved.quaternion,
+        angularVelocity: saved.angularVelocity || [0, 0, 0],
+        properties,
+        grip: saved.grip ? { offset: saved.grip.offset, rotation: saved.grip.rotation } : null
+    };
+}
+
+// Checked copy of a serialized scene, or null if it cannot be restored
+function normalizeScene(data) {
+    if (!data || data.version !== SCENE_FORMAT_VERSION || !Array.isArray(data.objects)) return null;
+
+    const joints = normalizePosition(data.joints);
+    if (!joints || !Number.isFinite(data.gripper) || !Number.isInteger(data.objectCounter)) return null;
+
+    const objects = data.objects.map(normalizeSceneObject);
+    if (objects.includes(null)) return null;
+
+    return { ...data, joints, objects };
+}
+
+// Replace the arm pose, gripper and objects with a serialized scene
+// Throws without changing anything if the scene is malformed
+function restoreScene(scene) {
+    const data = normalizeScene(scene);
+    if (!data) throw new Error('malformed scene');
+
+    // Drop any motion in progress so nothing drives the arm away from the saved pose
+    isAnimating = false;
+    animationQueue = [];
+    view.setAnimating(false);
+
+    const { joints } = data;
+    targetAngles.wristRotate = clampAngle(joints.wristRotate, CONFIG.limits.wristRotate) * Math.PI / 180;
+    jointAngles.wristRotate = targetAngles.wristRotate;
+    setJointAngles(joints.base, joints.shoulder, joints.elbow, joints.wrist, false);
+    for (const joint of MOTION_JOINTS) targetAngles[joint] = jointAngles[joint];
+
+    grippedObject = null;
+    setGripperOpenness(data.gripper, false);
+
+    while (sceneObjects.length > 0) {
+        removeObject(sceneObjects[0], true);
+    }
+
+    for (const saved of data.objects) {
+        const { position, velocity } = saved;
+        const obj = createObject(saved.type, position.x, position.y, position.z, saved.sizeMm, saved.properties);
+        obj.name = saved.name;
+        obj.mesh.material.color.setHex(saved.color);
+        // createObject lifts objects above the floor; restore exactly
+        obj.mesh.position.set(position.x / 100, position.z / 100, position.y / 100);
+        obj.mesh.quaternion.fromArray(saved.quaternion);
+        obj.velocity.set(velocity.x / 100, velocity.z / 100, velocity.y / 100);
+        obj.angularVelocity.fromArray(saved.angularVelocity);
+
+        if (saved.grip) {
+            obj.isGripped = true;
+            obj.grippedOffset = new THREE.Vector3().fromArray(saved.grip.offset);
+            obj.grippedRotation = new THREE.Quaternion().fromArray(saved.grip.rotation);
+            grippedObject = obj;
+        }
+    }
+    objectCounter = data.objectCounter;
+
+    view.updateJoints();
+}
+
+function handleSceneCommand(args) {
+    const action = args[0];
+    // Scene names follow the program naming rule
+    const name = args[1] && args[1].toLowerCase();
+
+    if (action === 'save' || action === 'load') {
+        if (!name) {
+            terminal.print(`Usage: scene ${action} <name>`, 'error');
+            return;
+        }
+        if (!PROGRAM_NAME_PATTERN.test(name)) {
+            terminal.print('Error: Scene names may only use letters, digits, _ and -', 'error');
+            return;
+        }
+    } else if (action !== 'list') {
+        terminal.print('Usage: scene save <name> | scene load <name> | scene list', 'error');
+        return;
+    }
+
+    let scenes;
+    try {
+        scenes = readSavedScenes();
+    } catch (e) {
+        terminal.print(`Error: Could not read saved scenes (${e.message})`, 'error');
+        return;
+    }
+
+    if (action === 'save') {
+        scenes[name] = serializeScene();
+        try {
+            storage.setItem(SCENE_STORAGE_KEY, JSON.stringify(scenes));
+        } catch (e) {
+            terminal.print(`Error: Could not save scene (${e.message})`, 'error');
+            return;
+        }
+        terminal.print(`Scene saved as "${name}" (${sceneObjects.length} object(s))`, 'success');
+    } else if (action === 'load') {
+        const data = scenes[name];
+        if (!data) {
+            terminal.print(`Error: No saved scene named "${name}"`, 'error');
+            terminal.print('Type "scene list" to see saved scenes.', 'info');
+            return;
+        }
+        if (data.version !== SCENE_FORMAT_VERSION) {
+            terminal.print(`Error: Scene "${name}" has unsupported format version ${data.version}`, 'error');
+            return;
+        }
+        try {
+            restoreScene(data);
+        } catch (e) {
+            terminal.print(`Error: Could not load scene "${name}" (${e.message})`, 'error');
+            return;
+        }
+        terminal.print(`Scene "${name}" loaded (${data.objects.length} object(s))`, 'success');
+    } else {
+        const names = Object.keys(scenes);
+        if (names.length === 0) {
+            terminal.print('No saved scenes.', 'info');
+            terminal.print('Use "scene save <name>" to save the current scene.', 'info');
+            return;
+        }
+
+        terminal.print('');
+        terminal.print('━━━ SAVED SCENES ━━━', 'highlight');
+        for (const sceneName of names) {
+            const data = scenes[sceneName];
+            const saved = data.savedAt ? data.savedAt.slice(0, 16).replace('T', ' ') : 'unknown date';
+            terminal.print(`  ${sceneName.padEnd(12)} - ${data.objects.length} object(s), saved ${saved}`, 'info');
+        }
+        terminal.print('');
+        terminal.print('Use "scene load <name>" to restore a scene.', 'info');
+    }
+}
+
+// ============================================================================
+// WORKSPACE BUNDLES
+// ============================================================================
+
+// A workspace bundle carries everything a setup needs in one file:
+// { format, version, exportedAt, sections: { <section>: { name: item } } }
+// Each section knows how to read its items, check one, and write imports.
+// The browser adds a "scripts" section for the notebook's saved scripts.
+//
+// On import, items that are new or identical are taken as they are. Items that
+// would overwrite a different local item are conflicts: they are reported and
+// kept local unless the import is run with "replace".
+
+const WORKSPACE_FORMAT = 'robotarm-workspace';
+const WORKSPACE_FORMAT_VERSION = 1;
+
+// CONFIG values carried as settings, with a check for imported values
+const WORKSPACE_SETTINGS = {
+    'animation.speed': value => Number.isFinite(value) && value >= 1 && value <= 100,
+    'animation.profile': value => MOTION_PROFILE_NAMES.includes(value),
+    'planner.maxIterations': value => Number.isInteger(value) && value > 0,
+    'planner.stepSize': value => Number.isFinite(value) && value > 0,
+    'planner.checkResolution': value => Number.isFinite(value) && value > 0,
+    'planner.clearance': value => Number.isFinite(value) && value >= 0,
+    'planner.shortcutAttempts': value => Number.isInteger(value) && value >= 0,
+    'simulation.timestep': value => Number.isFinite(value) && value > 0 && value <= 0.1,
+    'gripper.force': value => Number.isFinite(value) && value >= 1 && value <= 500,
+    'gripper.friction': value => Number.isFinite(value) && value >= 0 && value <= 2
+};
+
+function getConfigValue(path) {
+    const [group, key] = path.split('.');
+    return CONFIG[group][key];
+}
+
+function setConfigValue(path, value) {
+    const [group, key] = path.split('.');
+    CONFIG[group][key] = value;
+}
+
+// Values before any override, so only changed settings travel
+const DEFAULT_SETTINGS = {};
+for (const path in WORKSPACE_SETTINGS) DEFAULT_SETTINGS[path] = getConfigValue(path);
+
+const workspaceSections = {
+    programs: {
+        read() {
+            const userPrograms = {};
+            for (const [name, prog] of Object.entries(programs)) {
+                if (prog.created !== 'built-in') userPrograms[name] = prog;
+            }
+            return userPrograms;
+        },
+        // run and program look names up in lowercase
+        normalizeName: name => name.toLowerCase(),
+        validate: (prog, name) => PROGRAM_NAME_PATTERN.test(name) && !!prog &&
+            Array.isArray(prog.commands) && prog.commands.every(cmd => typeof cmd === 'string'),
+        content: prog => prog.commands,
+        write(entries) {
+            for (const [name, prog] of Object.entries(entries)) {
+                programs[name] = { commands: [...prog.commands], created: prog.created || new Date().toISOString() };
+            }
+        }
+    },
+
+    positions: {
+        read: () => savedPositions,
+        // load looks names up in lowercase
+        normalizeName: name => name.toLowerCase(),
+        validate: (pos, name) => isPositionName(name) && normalizePosition(pos) !== null,
+        write(entries) {
+            for (const [name, pos] of Object.entries(entries)) {
+                savedPositions[name] = normalizePosition(pos);
+            }
+            persistSavedPositions();
+        }
+    },
+
+    scenes: {
+        read: () => readSavedScenes(),
+        // Scenes follow the program naming rule
+        normalizeName: name => name.toLowerCase(),
+        validate: (data, name) => PROGRAM_NAME_PATTERN.test(name) && normalizeScene(data) !== null,
+        content: ({ savedAt, ...data }) => data,
+        write(entries) {
+            storage.setItem(SCENE_STORAGE_KEY, JSON.stringify(Object.assign(readSavedScenes(), entries)));
+        }
+    },
+
+    settings: {
+        read() {
+            const overrides = {};
+            for (const path in WORKSPACE_SETTINGS) {
+                const value = getConfigValue(path);
+                if (value !== DEFAULT_SETTINGS[path]) overrides[path] = value;
+            }
+            return overrides;
+        },
+        validate: (value, path) => !!WORKSPACE_SETTINGS[path] && WORKSPACE_SETTINGS[path](value),
+        write(entries) {
+            for (const [path, value] of Object.entries(entries)) setConfigValue(path, value);
+        }
+    }
+};
+
+// Add a section to workspace bundles: { read(), validate(item, name), write(entries) }
+// and optionally content(item), the part compared when looking for conflicts,
+// and normalizeName(name), applied to imported names before validate
+function registerWorkspaceSection(name, section) {
+    workspaceSections[name] = section;
+}
+
+function sameWorkspaceItem(section, a, b) {
+    const content = section.content || (item => item);
+    return JSON.stringify(content(a)) === JSON.stringify(content(b));
+}
+
+function buildWorkspaceBundle() {
+    const sections = {};
+    for (const [name, section] of Object.entries(workspaceSections)) {
+        sections[name] = section.read();
+    }
+    return {
+        format: WORKSPACE_FORMAT,
+        version: WORKSPACE_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        sections
+    };
+}
+
+// Sort a bundle's items into what to import and what to report
+// Returns { sections: { name: { added, replaced, unchanged, conflicts, entries } }, invalid, unknown }
+function planWorkspaceImport(bundle, replace) {
+    if (!bundle || bundle.format !== WORKSPACE_FORMAT || !bundle.sections) {
+        throw new Error('not a workspace bundle');
+    }
+    if (bundle.version !== WORKSPACE_FORMAT_VERSION) {
+        throw new Error(`unsupported workspace format version ${bundle.version}`);
+    }
+
+    const plan = { sections: {}, invalid: [], unknown: [] };
+
+    for (const [sectionName, items] of Object.entries(bundle.sections)) {
+        const section = workspaceSections[sectionName];
+        if (!section) {
+            plan.unknown.push(sectionName);
+            continue;
+        }
+
+        const local = section.read();
+        // entries has no prototype so an item named __proto__ stays an item
+        const result = { added: [], replaced: [], unchanged: [], conflicts: [], entries: Object.create(null) };
+        plan.sections[sectionName] = result;
+
+        for (const [itemName, item] of Object.entries(items || {})) {
+            const name = section.normalizeName ? section.normalizeName(itemName) : itemName;
+            if (!section.validate(item, name)) {
+                plan.invalid.push(`${sectionName}/${itemName}`);
+                continue;
+            }
+
+            // Settings read only local overrides, so defaults never conflict
+            const current = Object.hasOwn(local, name) ? local[name] : undefined;
+            if (current === undefined) {
+                result.added.push(name);
+                result.entries[name] = item;
+            } else if (sameWorkspaceItem(section, current, item)) {
+                result.unchanged.push(name);
+            } else if (replace) {
+                result.replaced.push(name);
+                result.entries[name] = item;
+            } else {
+                result.conflicts.push(name);
+            }
+        }
+    }
+
+    return plan;
+}
+
+function importWorkspaceBundle(bundle, replace) {
+    const plan = planWorkspaceImport(bundle, replace);
+
+    for (const [sectionName, result] of Object.entries(plan.sections)) {
+        if (Object.keys(result.entries).length > 0) {
+            workspaceSections[sectionName].write(result.entries);
+        }
+    }
+
+    return plan;
+}
+
+function reportWorkspaceImport(plan) {
+    terminal.print('');
+    terminal.print('━━━ WORKSPACE IMPORT ━━━', 'highlight');
+
+    const conflicts = [];
+    for (const [sectionName, result] of Object.entries(plan.sections)) {
+        const counts = [
+            `${result.added.length} added`,
+            result.replaced.length > 0 ? `${result.replaced.length} replaced` : null,
+            result.unchanged.length > 0 ? `${result.unchanged.length} unchanged` : null,
+            result.conflicts.length > 0 ? `${result.conflicts.length} conflict(s)` : null
+        ].filter(Boolean).join(', ');
+        terminal.print(`  ${sectionName.padEnd(10)} ${counts}`, 'info');
+        conflicts.push(...result.conflicts.map(name => `${sectionName}/${name}`));
+    }
+
+    if (plan.unknown.length > 0) {
+        terminal.print(`  Ignored unknown section(s): ${plan.unknown.join(', ')}`, 'warning');
+    }
+    if (plan.invalid.length > 0) {
+        terminal.print(`  Skipped invalid: ${plan.invalid.join(', ')}`, 'warning');
+    }
+    if (conflicts.length > 0) {
+        terminal.print(`  Kept local: ${conflicts.join(', ')}`, 'warning');
+        terminal.print('  Import again with "replace" at the end to overwrite them.', 'info');
+    }
+    terminal.print('');
+}
+
+function handleWorkspaceCommand(args) {
+    const action = args[0];
+
+    if (action === 'export') {
+        const fileName = args[1] || 'robot-workspace.json';
+        try {
+            files.save(fileName, JSON.stringify(buildWorkspaceBundle(), null, 2));
+        } catch (e) {
+            terminal.print(`Error: Could not export workspace (${e.message})`, 'error');
+            return;
+        }
+        terminal.print(`Workspace exported to ${fileName}`, 'success');
+        return;
+    }
+
+    if (action !== 'import') {
+        terminal.print('Usage: workspace export [file] | workspace import [file] [replace]', 'error');
+        return;
+    }
+
+    const rest = args.slice(1);
+    const replace = rest[rest.length - 1] === 'replace';
+    if (replace) rest.pop();
+
+    const onError = message => terminal.print(`Error: Could not import workspace (${message})`, 'error');
+    const onLoad = text => {
+        let plan;
+        try {
+            plan = importWorkspaceBundle(JSON.parse(text), replace);
+        } catch (e) {
+            onError(e.message);
+            return;
+        }
+        reportWorkspaceImport(plan);
+    };
+
+    try {
+        files.open(rest[0], onLoad, onError);
+    } catch (e) {
+        onError(e.message);
+    }
+}
+
+// ============================================================================
+// SCRIPT EXPRESSIONS
+// ============================================================================
+
+// Programs can hold variables ("set x = 100") and use them in any command as
+// $x or in arithmetic like $x+50 or ($row*80)-40. Words with a $ are evaluated
+// by the small parser below (never eval) and replaced by their value.
+// Expressions inside a command word cannot contain spaces; "set" can.
+// Conditions ("if", "while") are expressions too: comparisons and
+// and/or/not give 1 for true and 0 for false.
+
+// Read-only values describing the current state (cm, degrees, %)
+const SCRIPT_BUILTINS = {
+    tip_x: () => getEndEffectorPosition().x * 100,
+    tip_y: () => getEndEffectorPosition().y * 100,
+    tip_z: () => getEndEffectorPosition().z * 100,
+    gripper: () => gripperOpenness,
+    base: () => jointAngles.base * 180 / Math.PI,
+    shoulder: () => jointAngles.shoulder * 180 / Math.PI,
+    elbow: () => jointAngles.elbow * 180 / Math.PI,
+    wrist: () => jointAngles.wrist * 180 / Math.PI,
+    rotate: () => jointAngles.wristRotate * 180 / Math.PI,
+    objects: () => sceneObjects.length,
+    time: () => simulationTime / 1000,
+    // Newtons of friction to spare on the held object (0 when nothing is held)
+    grip_margin: () => grippedObject ? getGripHold(grippedObject).margin : 0
+};
+
+// Functions usable in expressions; angles are in degrees
+const SCRIPT_FUNCTIONS = {
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    sqrt: Math.sqrt,
+    sin: deg => Math.sin(deg * Math.PI / 180),
+    cos: deg => Math.cos(deg * Math.PI / 180),
+    atan2: (y, x) => Math.atan2(y, x) * 180 / Math.PI,
+    reachable: (x, y, z) => isPositionReachable(x, y, z) ? 1 : 0
+};
+
+// Functions taking an object name instead of numbers: exists(cube_1), gripped()
+const SCRIPT_OBJECT_FUNCTIONS = {
+    exists: name => sceneObjects.some(obj => obj.name.toLowerCase() === name),
+    gripped: name => grippedObject !== null && (!name || grippedObject.name.toLowerCase() === name)
+};
+
+function tokenizeExpression(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|\$([a-z_][a-z0-9_]*)|([a-z_][a-z0-9_]*)|(==|!=|<=|>=|\S))/gy;
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'variable', value: match[2] });
+        else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3] });
+        else if (match[4] !== undefined) tokens.push({ type: 'symbol', value: match[4] });
+    }
+    return tokens;
+}
+
+// Evaluate an expression; throws an Error describing any problem.
+// With options.check (script checking) nothing about the arm or scene is read
+// and a non-finite result becomes 1, since variables only hold stand-ins.
+// Grammar: or = and (or and)*, and = not (and not)*, not = not not | compare,
+//          compare = expr [(==|!=|<|<=|>|>=) expr],
+//          expr = term (+|- term)*, term = unary (*|/|% unary)*,
+//          unary = -unary | +unary | number | $var | func(expr, ...) | (or)
+function evaluateExpression(text, variables = {}, options = {}) {
+    const { check = false } = options;
+    const tokens = tokenizeExpression(text.toLowerCase());
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isSymbol = symbol => peek() && peek().type === 'symbol' && peek().value === symbol;
+    const isWord = word => peek() && peek().type === 'name' && peek().value === word;
+    const expect = symbol => {
+        if (!isSymbol(symbol)) throw new Error(`expected "${symbol}" in "${text}"`);
+        pos++;
+    };
+
+    function parseOr() {
+        let value = parseAnd();
+        while (isWord('or')) {
+            pos++;
+            const right = parseAnd();
+            value = value || right ? 1 : 0;
+        }
+        return value;
+    }
+
+    function parseAnd() {
+        let value = parseNot();
+        while (isWord('and')) {
+            pos++;
+            const right = parseNot();
+            value = value && right ? 1 : 0;
+        }
+        return value;
+    }
+
+    function parseNot() {
+        if (isWord('not')) {
+            pos++;
+            return parseNot() ? 0 : 1;
+        }
+        return parseCompare();
+    }
+
+    function parseCompare() {
+        const left = parseExpr();
+        const token = peek();
+        if (!token || token.type !== 'symbol' || !['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+            return left;
+        }
+        pos++;
+        const right = parseExpr();
+        switch (token.value) {
+            case '==': return left === right ? 1 : 0;
+            case '!=': return left !== right ? 1 : 0;
+            case '<': return left < right ? 1 : 0;
+            case '<=': return left <= right ? 1 : 0;
+            case '>': return left > right ? 1 : 0;
+            default: return left >= right ? 1 : 0;
+        }
+    }
+
+    function parseExpr() {
+        let value = parseTerm();
+        while (isSymbol('+') || isSymbol('-')) {
+            const op = tokens[pos++].value;
+            const right = parseTerm();
+            value = op === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    function parseTerm() {
+        let value = parseUnary();
+        while (isSymbol('*') || isSymbol('/') || isSymbol('%')) {
+            const op = tokens[pos++].value;
+            const right = parseUnary();
+            value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+        }
+        return value;
+    }
+
+    function parseUnary() {
+        if (isSymbol('-')) { pos++; return -parseUnary(); }
+        if (isSymbol('+')) { pos++; return parseUnary(); }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[pos++];
+        if (!token) throw new Error(`"${text}" ends too early`);
+
+        if (token.type === 'number') return token.value;
+
+        if (token.type === 'variable') {
+            if (Object.hasOwn(SCRIPT_BUILTINS, token.value)) return check ? 1 : SCRIPT_BUILTINS[token.value]();
+            if (Object.hasOwn(variables, token.value)) return variables[token.value];
+            throw new Error(`unknown variable $${token.value}`);
+        }
+
+        if (token.type === 'name' && Object.hasOwn(SCRIPT_OBJECT_FUNCTIONS, token.value)) {
+            expect('(');
+            let name = '';
+            if (peek() && peek().type === 'name') name = tokens[pos++].value;
+            expect(')');
+            if (check) return 1;
+            return SCRIPT_OBJECT_FUNCTIONS[token.value](name) ? 1 : 0;
+        }
+
+        if (token.type === 'name') {
+            if (!Object.hasOwn(SCRIPT_FUNCTIONS, token.value)) throw new Error(`unknown function "${token.value}" (variables need a $)`);
+            expect('(');
+            const args = [parseOr()];
+            while (isSymbol(',')) {
+                pos++;
+                args.push(parseOr());
+            }
+            expect(')');
+            if (check) return 1;
+            return SCRIPT_FUNCTIONS[token.value](...args);
+        }
+
+        if (token.value === '(') {
+            const value = parseOr();
+            expect(')');
+            return value;
+        }
+
+        throw new Error(`unexpected "${token.value}" in "${text}"`);
+    }
+
+    const value = parseOr();
+    if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos].value}" in "${text}"`);
+    if (!Number.isFinite(value)) {
+        if (check) return 1;
+        throw new Error(`"${text}" is not a finite number`);
+    }
+    return value;
+}
+
+function formatScriptNumber(value) {
+    return String(Number(value.toFixed(4)));
+}
+
+// Replace every word containing $ with its value. key=value words keep their
+// key, and a leading + is kept so relative joint moves ("b +$step") still work.
+function expandScriptLine(line, variables, options = {}) {
+    return line.split(/\s+/).map(word => {
+        if (!word.includes('$')) return word;
+
+        const option = word.match(/^([a-z_]+)=(.*)$/i);
+        if (option) return `${option[1]}=${formatScriptNumber(evaluateExpression(option[2], variables, options))}`;
+
+        const value = evaluateExpression(word, variables, options);
+        return word.startsWith('+') && value >= 0 ? `+${formatScriptNumber(value)}` : formatScriptNumber(value);
+    }).join(' ');
+}
+
+// "set <name> = <expression>": returns [name, value]; throws on a bad line
+function evaluateSetCommand(line, variables, options = {}) {
+    const match = line.match(/^set\s+([a-z_][a-z0-9_]*)\s*=\s*(.+)$/i);
+    if (!match) throw new Error('usage: set <name> = <expression>');
+
+    const name = match[1].toLowerCase();
+    if (Object.hasOwn(SCRIPT_BUILTINS, name)) throw new Error(`$${name} is read-only`);
+    return [name, evaluateExpression(match[2], variables, options)];
+}
+
+// Block keywords of "if/elif/else/endif" and "while/endwhile"
+const SCRIPT_BLOCK_KEYWORDS = ['if', 'elif', 'else', 'endif', 'while', 'endwhile'];
+
+// Parse "def name(a, b)"; returns { name, params } or throws
+function parseDefLine(line) {
+    const match = line.match(/^def\s+([a-z_][a-z0-9_]*)\s*(?:\(([^)]*)\))?\s*$/i);
+    if (!match) throw new Error('usage: def <name>(<param>, ...)');
+
+    const params = match[2] && match[2].trim() ? match[2].split(',').map(param => param.trim().toLowerCase()) : [];
+    for (const param of params) {
+        if (!/^[a-z_][a-z0-9_]*$/.test(param)) throw new Error(`bad parameter name "${param}"`);
+        if (Object.hasOwn(SCRIPT_BUILTINS, param)) throw new Error(`parameter $${param} would hide a read-only value`);
+    }
+    if (new Set(params).size !== params.length) throw new Error('parameter names must differ');
+
+    return { name: match[1].toLowerCase(), params };
+}
+
+// Pair up the block keywords of a program, keyed by line index:
+//   if/elif/else -> { next, end }  next branch (elif/else/endif) and endif
+//   while        -> { end }        endwhile
+//   endwhile     -> { start }      while
+//   def          -> { end }        enddef
+//   repeat       -> { end }        endrepeat (the runner keeps its own loopStack)
+// and collect its subroutines as name -> { params, index } (index of the def line).
+// Returns { blocks, defs, error } where error is { line, message } or null
+function matchScriptBlocks(commands) {
+    const blocks = new Map();
+    const defs = new Map();
+    const open = [];  // Stack of { keyword, index, branch }
+
+    for (let i = 0; i < commands.length; i++) {
+        const keyword = commands[i].trim().split(/\s+/)[0].toLowerCase();
+        const top = open[open.length - 1];
+
+        if (keyword === 'def') {
+            if (open.length > 0) {
+                return { blocks, defs, error: { line: i + 1, message: '"def" must not be inside another block' } };
+            }
+            let def;
+            try {
+                def = parseDefLine(commands[i].trim());
+            } catch (e) {
+                return { blocks, defs, error: { line: i + 1, message: e.message } };
+            }
+            if (defs.has(def.name)) {
+                return { blocks, defs, error: { line: i + 1, message: `"${def.name}" is already defined` } };
+            }
+            defs.set(def.name, { params: def.params, index: i });
+            open.push({ keyword, index: i });
+            continue;
+        }
+
+        if (keyword === 'enddef') {
+            if (!top || top.keyword !== 'def') {
+                return { blocks, defs, error: { line: i + 1, message: '"enddef" without "def"' } };
+            }
+            open.pop();
+            blocks.set(top.index, { end: i });
+            continue;
+        }
+
+        if (keyword === 'if' || keyword === 'while' || keyword === 'repeat') {
+            open.push({ keyword, index: i, branch: i, branches: [i] });
+            continue;
+        }
+
+        if (keyword === 'elif' || keyword === 'else') {
+            if (!top || top.keyword !== 'if') {
+                return { blocks, defs, error: { line: i + 1, message: `"${keyword}" without "if"` } };
+            }
+            if (commands[top.branch].trim().toLowerCase().startsWith('else')) {
+                return { blocks, defs, error: { line: i + 1, message: `"${keyword}" after "else"` } };
+            }
+            blocks.set(top.branch, { next: i });
+            top.branch = i;
+            top.branches.push(i);
+            continue;
+        }
+
+        if (keyword === 'endif' || keyword === 'endwhile' || keyword === 'endrepeat') {
+            const opener = keyword.slice(3);
+            if (!top || top.keyword !== opener) {
+                return { blocks, defs, error: { line: i + 1, message: `"${keyword}" without "${opener}"` } };
+            }
+            open.pop();
+            if (opener === 'if') {
+                blocks.set(top.branch, { next: i });
+                for (const branch of top.branches) blocks.get(branch).end = i;
+            } else if (opener === 'repeat') {
+                blocks.set(top.index, { end: i });
+            } else {
+                blocks.set(top.index, { end: i });
+                blocks.set(i, { start: top.index });
+            }
+        }
+    }
+
+    if (open.length > 0) {
+        const top = open[open.length - 1];
+        return { blocks, defs, error: { line: top.index + 1, message: `"${top.keyword}" without "end${top.keyword}"` } };
+    }
+    return { blocks, defs, error: null };
+}
+
+// ============================================================================
+// SCRIPT CHECKING
+// ============================================================================
+
+// Find problems in a program before it runs: unbalanced blocks, unknown
+// commands, arguments that do not fit a command's schema, undefined
+// subroutines and variables, bad expressions, and goto/movel targets the
+// arm cannot reach. Lines with $expressions are checked with stand-in
+// values, so their targets are not checked for reach.
+// Returns [{ line, message, severity: 'error'|'warning' }] sorted by line
+function checkScript(commands) {
+    const problems = [];
+    const report = (index, message, severity = 'error') => {
+        problems.push({ line: index + 1, message, severity });
+    };
+
+    const { error } = matchScriptBlocks(commands);
+    if (error) problems.push({ ...error, severity: 'error' });
+
+    // Subroutines, and the variables of each scope (the top level or one def):
+    // the def's parameters, and the lines each "set" name is set on. Also the
+    // outermost loop around each line, as a loop can use a name set further
+    // down on its earlier passes. Collected here as well, since
+    // matchScriptBlocks stops at its first error.
+    const defs = new Map();
+    const scopeOf = [];
+    const loopOf = [];
+    const loopEnd = new Map();
+    const scopes = new Map([[null, { params: [], sets: new Map() }]]);
+    let scope = null;
+    let loopStart = null;
+    let loopDepth = 0;
+    commands.forEach((command, i) => {
+        const line = command.trim();
+        const keyword = line.split(/\s+/)[0].toLowerCase();
+        if (keyword === 'def') {
+            try {
+                const def = parseDefLine(line);
+                scope = def.name;
+                scopes.set(scope, { params: def.params, sets: new Map() });
+                defs.set(def.name, def);
+            } catch (e) {
+                // Reported by matchScriptBlocks
+            }
+        }
+        if (keyword === 'while' || keyword === 'repeat') {
+            if (loopDepth++ === 0) loopStart = i;
+        }
+        scopeOf[i] = scope;
+        loopOf[i] = loopDepth > 0 ? loopStart : null;
+        const set = line.match(/^set\s+([a-z_][a-z0-9_]*)\s*=/i);
+        if (set) {
+            const { sets } = scopes.get(scope);
+            const name = set[1].toLowerCase();
+            sets.set(name, [...(sets.get(name) || []), i]);
+        }
+        if ((keyword === 'endwhile' || keyword === 'endrepeat') && loopDepth > 0 && --loopDepth === 0) {
+            loopEnd.set(loopStart, i);
+        }
+        if (keyword === 'enddef') scope = null;
+    });
+
+    const checkLine = (line, names) => {
+        const variables = Object.create(null);
+        for (const name of names) variables[name] = 1;
+        const found = [];
+        try {
+            checkScriptLine(line, variables, defs, (message, severity) => found.push([message, severity]));
+        } catch (e) {
+            found.push([e.message, 'error']);
+        }
+        return found;
+    };
+
+    // Each line sees the names set above it in its scope
+    commands.forEach((command, i) => {
+        const line = command.trim();
+        if (!line || line.startsWith('#')) return;
+        const { params, sets } = scopes.get(scopeOf[i]);
+        const above = [...sets].filter(([, lines]) => lines[0] < i).map(([name]) => name);
+
+        let found = checkLine(line, [...params, ...above]);
+        const late = found.map(([message]) => message.match(/^unknown variable \$(\w+)$/))
+            .find(match => match && sets.has(match[1]));
+        if (late) {
+            const name = late[1];
+            const loop = loopOf[i];
+            const end = loop === null ? -1 : (loopEnd.has(loop) ? loopEnd.get(loop) : commands.length);
+            if (sets.get(name).some(j => j <= end)) {
+                report(i, `$${name} may be used before it is set (on the first pass of the loop)`, 'warning');
+            } else {
+                report(i, `$${name} is used before it is set (line ${sets.get(name)[0] + 1})`);
+            }
+            found = checkLine(line, [...params, ...sets.keys()]);
+        }
+        for (const [message, severity] of found) report(i, message, severity);
+    });
+
+    return problems.sort((a, b) => a.line - b.line);
+}
+
+// Check one non-empty line; report(message, severity) for each problem.
+// Throws for problems in expressions.
+function checkScriptLine(line, variables, defs, report) {
+    const check = { check: true };
+    const words = line.split(/\s+/);
+    const keyword = words[0].toLowerCase();
+
+    if (keyword === 'set') {
+        evaluateSetCommand(line, variables, check);
+        return;
+    }
+
+    if (keyword === 'if' || keyword === 'elif' || keyword === 'while') {
+        if (words.length < 2) throw new Error(`"${keyword}" needs a condition`);
+        evaluateExpression(line.replace(/^\S+\s*/, ''), variables, check);
+        return;
+    }
+
+    if (['else', 'endif', 'endwhile', 'def', 'enddef', 'endrepeat'].includes(keyword)) return;
+
+    if (keyword === 'call') {
+        const name = (words[1] || '').toLowerCase();
+        if (!name) throw new Error('usage: call <name> [args...] or call program <name>');
+        if (name === 'program') {
+            const program = (words[2] || '').toLowerCase();
+            if (!Object.hasOwn(programs, program)) report(`program "${program}" not found`);
+            return;
+        }
+
+        const def = defs.get(name);
+        if (!def) {
+            report(`"${name}" is not defined (use "def ${name}(...)")`);
+            return;
+        }
+        const args = words.slice(2);
+        if (args.length !== def.params.length) {
+            report(`${name}() takes ${def.params.length} argument${def.params.length === 1 ? '' : 's'}, got ${args.length}`);
+        }
+        args.forEach(arg => evaluateExpression(arg, variables, check));
+        return;
+    }
+
+    // Any other line is a command, checked against its schema
+    const expanded = line.includes('$') ? expandScriptLine(line, variables, check) : line;
+    const parts = expanded.toLowerCase().split(/\s+/);
+    const command = findCommand(parts[0]);
+    if (!command) {
+        report(`unknown command "${parts[0]}"`);
+        return;
+    }
+
+    const { values, error } = checkCommandArgs(command, parts.slice(1));
+    if (error) {
+        report(error);
+        return;
+    }
+
+    // Tool options are checked like the motion commands do
+    let tool = null;
+    if (command.options === TOOL_OPTIONS) {
+        tool = readToolOptions(values.options);
+        if (tool.error) {
+            report(tool.error);
+            return;
+        }
+    }
+
+    // Reach of literal targets; "closest" accepts an unreachable one.
+    // The numerical fallback starts from home, not wherever the arm is now.
+    if ((command.name === 'goto' || command.name === 'movel') && !line.includes('$') &&
+        !(values.flag || []).includes('closest')) {
+        const { pitch, roll, elbow } = tool;
+        const { home } = PRESETS;
+        const toRadians = angle => angle * Math.PI / 180;
+        const from = {
+            base: toRadians(home.base),
+            shoulder: toRadians(home.shoulder),
+            elbow: toRadians(home.elbow),
+            wrist: toRadians(home.wrist),
+            wristRotate: toRadians(home.rotate)
+        };
+        const result = solveIK(values.x / 100, values.y / 100, values.z / 100, { pitch, roll, elbow, from });
+        if (!result.success) {
+            report(`target (${values.x}, ${values.y}, ${values.z}) cm is out of reach`, 'warning');
+        }
+    }
+}
+
+// Print the problems of checkScript for a program
+function reportScriptProblems(name, problems, lineCount) {
+    for (const problem of problems) {
+        terminal.print(`  line ${problem.line}: ${problem.message}`, problem.severity);
+    }
+
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    const warnings = problems.length - errors;
+    if (problems.length === 0) {
+        terminal.print(`No problems found in "${name}" (${lineCount} lines).`, 'success');
+    } else {
+        const summary = [
+            errors > 0 ? `${errors} error${errors === 1 ? '' : 's'}` : null,
+            warnings > 0 ? `${warnings} warning${warnings === 1 ? '' : 's'}` : null
+        ].filter(Boolean).join(', ');
+        terminal.print(`${summary} in "${name}".`, errors > 0 ? 'error' : 'warning');
+    }
+}
+
+// ============================================================================
+// PROGRAM/SCRIPT SYSTEM
+// ============================================================================
+
+function handleProgramCommand(args) {
+    if (args.length < 1) {
+        // List all programs
+        const names = Object.keys(programs);
+        if (names.length === 0) {
+            terminal.print('No programs defined.', 'info');
+            terminal.print('Use "program new <name>" to create a program.', 'info');
+        } else {
+            terminal.print('');
+            terminal.print('━━━ PROGRAMS ━━━', 'highlight');
+            for (const name of names) {
+                const prog = programs[name];
+                terminal.print(`  ${name.padEnd(12)} (${prog.commands.length} commands)`, 'info');
+            }
+            terminal.print('');
+            terminal.print('Use "program show <name>" to view a program.', 'info');
+            terminal.print('Use "run <name>" to execute a program.', 'info');
+        }
+        return;
+    }
+
+    const subcommand = args[0].toLowerCase();
+
+    switch (subcommand) {
+        case 'new':
+            if (args.length < 2) {
+                terminal.print('Usage: program new <name>', 'error');
+                return;
+            }
+            const newName = args[1].toLowerCase();
+            if (!PROGRAM_NAME_PATTERN.test(newName)) {
+                terminal.print('Error: Program names may only use letters, digits, _ and -', 'error');
+                return;
+            }
+            if (Object.hasOwn(programs, newName)) {
+                terminal.print(`Error: Program "${newName}" already exists. Delete it first.`, 'error');
+                return;
+            }
+            programMode = { name: newName, commands: [] };
+            terminal.print('');
+            terminal.print(`━━━ RECORDING: ${newName.toUpperCase()} ━━━`, 'warning');
+            terminal.print('Enter commands to record. Type "end" to finish.', 'info');
+            terminal.print('');
+            break;
+
+        case 'show':
+        case 'cat':
+            if (args.length < 2) {
+                terminal.print('Usage: program show <name>', 'error');
+                return;
+            }
+            const showName = args[1].toLowerCase();
+            if (!Object.hasOwn(programs, showName)) {
+                terminal.print(`Error: Program "${showName}" not found.`, 'error');
+                return;
+            }
+            terminal.print('');
+            terminal.print(`━━━ PROGRAM: ${showName.toUpperCase()} ━━━`, 'highlight');
+            programs[showName].commands.forEach((cmd, i) => {
+                const lineNum = String(i + 1).padStart(3, ' ');
+                terminal.print(`${lineNum}: ${cmd}`, cmd.startsWith('#') ? 'info' : '');
+            });
+            terminal.print('');
+            break;
+
+        case 'delete':
+        case 'del':
+        case 'rm':
+            if (args.length < 2) {
+                terminal.print('Usage: program delete <name>', 'error');
+                return;
+            }
+            const delName = args[1].toLowerCase();
+            if (!Object.hasOwn(programs, delName)) {
+                terminal.print(`Error: Program "${delName}" not found.`, 'error');
+                return;
+            }
+            delete programs[delName];
+            terminal.print(`Program "${delName}" deleted.`, 'success');
+            break;
+
+        case 'edit':
+            if (args.length < 2) {
+                terminal.print('Usage: program edit <name>', 'error');
+                return;
+            }
+            const editName = args[1].toLowerCase();
+            if (!Object.hasOwn(programs, editName)) {
+                terminal.print(`Error: Program "${editName}" not found.`, 'error');
+                return;
+            }
+            // Enter edit mode with existing commands
+            programMode = { name: editName, commands: [...programs[editName].commands] };
+            terminal.print('');
+            terminal.print(`━━━ EDITING: ${editName.toUpperCase()} ━━━`, 'warning');
+            terminal.print('Current commands:', 'info');
+            programMode.commands.forEach((cmd, i) => {
+                terminal.print(`  ${i + 1}: ${cmd}`, 'info');
+            });
+            terminal.print('');
+            terminal.print('Enter additional commands. Type "end" to save.', 'info');
+            break;
+
+        case 'stop':
+            if (runningProgram) {
+                terminal.print(`Program "${runningProgram.name}" stopped.`, 'warning');
+                runningProgram = null;
+            } else {
+                terminal.print('No program is running.', 'info');
+            }
+            break;
+
+        case 'pause':
+            pauseProgram();
+            break;
+
+        case 'resume':
+            resumeProgram();
+            break;
+
+        case 'step':
+            stepProgram();
+            break;
+
+        default:
+            // Check if it's a program name to show
+            if (Object.hasOwn(programs, subcommand)) {
+                terminal.print('');
+                terminal.print(`━━━ PROGRAM: ${subcommand.toUpperCase()} ━━━`, 'highlight');
+                programs[subcommand].commands.forEach((cmd, i) => {
+                    const lineNum = String(i + 1).padStart(3, ' ');
+                    terminal.print(`${lineNum}: ${cmd}`, cmd.startsWith('#') ? 'info' : '');
+                });
+                terminal.print('');
+            } else {
+                terminal.print(`Unknown subcommand: ${subcommand}`, 'error');
+                terminal.print('Usage: program [new|show|edit|delete|stop] <name>', 'info');
+            }
+    }
+}
+
+function handleEndCommand() {
+    if (programMode) {
+        // Save the program
+        programs[programMode.name] = {
+            commands: programMode.commands,
+            created: new Date().toISOString()
+        };
+        terminal.print('');
+        terminal.print(`━━━ PROGRAM SAVED: ${programMode.name.toUpperCase()} ━━━`, 'success');
+        terminal.print(`${programMode.commands.length} commands recorded.`, 'info');
+        terminal.print(`Use "run ${programMode.name}" to execute.`, 'info');
+        terminal.print('');
+        programMode = null;
+    } else {
+        terminal.print('Not currently recording a program.', 'error');
+    }
+}
+
+function handleRunCommand(args) {
+    if (args.length < 1) {
+        terminal.print('Usage: run <program_name> [plan]', 'error');
+        return;
+    }
+
+    const name = args[0].toLowerCase();
+    if (!Object.hasOwn(programs, name)) {
+        terminal.print(`Error: Program "${name}" not found.`, 'error');
+        terminal.print('Use "program" to see available programs.', 'info');
+        return;
+    }
+
+    if (runningProgram) {
+        terminal.print(`Error: Program "${runningProgram.name}" is already running.`, 'error');
+        terminal.print('Use "program stop" to stop it first.', 'info');
+        return;
+    }
+
+    // 'plan' option: every goto in the program routes around objects
+    const plan = args.slice(1).some(arg => arg.toLowerCase() === 'plan');
+
+    runScript(name, programs[name].commands, { plan });
+}
+
+function handleCheckCommand(args) {
+    const name = args[0].toLowerCase();
+    if (!Object.hasOwn(programs, name)) {
+        terminal.print(`Error: Program "${name}" not found.`, 'error');
+        terminal.print('Use "program" to see available programs.', 'info');
+        return;
+    }
+
+    const commands = programs[name].commands;
+    reportScriptProblems(name, checkScript(commands), commands.length);
+}
+
+// Start running a list of commands as a program (run, notebook and headless runs)
+// options: { plan, breakpoints, paused } where breakpoints is a Set of line
+// indices (read live, so it can change while the program runs) and paused
+// stops before the first line
+function runScript(name, commands, options = {}) {
+    const { plan = false, breakpoints = new Set(), paused = false } = options;
+
+    // Unbalanced blocks would jump to the wrong line
+    const { blocks, defs, error } = matchScriptBlocks(commands);
+    if (error) {
+        terminal.print(`Error: line ${error.line}: ${error.message}`, 'error');
+        return;
+    }
+
+    terminal.print('');
+    terminal.print(`━━━ RUNNING: ${name.toUpperCase()}${plan ? ' (planned motion)' : ''} ━━━`, 'warning');
+
+    // commands to variables describe the running frame (the program, a def
+    // or a called program); "call" saves it on callStack and enddef restores it
+    runningProgram = {
+        name: name,
+        scope: name,    // Frame name shown in error traces
+        commands: [...commands],
+        index: 0,
+        loopStack: [],  // Stack of { startIndex, remaining }
+        blocks: blocks, // if/while/def jump targets from matchScriptBlocks
+        defs: defs,     // Subroutines defined with "def"
+        variables: Object.create(null),  // Set with "set <name> = <expression>", no prototype keys
+        callStack: [],  // Saved frames of the callers
+        controlSteps: 0,  // Lines run since the last command, see continueProgram
+        plan: plan,
+
+        // Debugging, see PROGRAM DEBUGGING
+        source: null,         // Top-level commands, the lines breakpoints refer to
+        breakpoints: breakpoints,
+        currentLine: 0,       // Line running, or about to run when paused
+        paused: false,
+        pauseRequested: paused,
+        stepDepth: null,      // Pause at the next line at most this many calls deep
+        resumed: false        // Skip the pause check once after resuming
+    };
+    runningProgram.source = runningProgram.commands;
+
+    // Start executing
+    executeNextProgramCommand();
+}
+
+function executeNextProgramCommand() {
+    if (!runningProgram) return;
+
+    // Check if program is complete
+    if (runningProgram.index >= runningProgram.commands.length) {
+        if (runningProgram.callStack.length > 0) {
+            // End of a program started with "call program"
+            returnFromCall();
+            continueProgram();
+            return;
+        }
+        terminal.print('');
+        terminal.print(`━━━ PROGRAM COMPLETE: ${runningProgram.name.toUpperCase()} ━━━`, 'success');
+        runningProgram = null;
+        return;
+    }
+
+    const command = runningProgram.commands[runningProgram.index];
+
+    // Skip empty lines and comments
+    const trimmed = command.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+        runningProgram.index++;
+        executeNextProgramCommand();
+        return;
+    }
+
+    runningProgram.currentLine = runningProgram.index;
+    if (shouldPauseProgram()) {
+        runningProgram.paused = true;
+        runningProgram.pauseRequested = false;
+        runningProgram.stepDepth = null;
+        terminal.print(`  [paused at line ${runningProgram.index + 1}]`, 'warning');
+        return;
+    }
+    runningProgram.index++;
+
+    // Variables: "set" assigns, $expressions expand in every other command
+    let line = trimmed;
+    try {
+        const keyword = line.split(/\s+/)[0].toLowerCase();
+        if (keyword === 'set') {
+            const [name, value] = evaluateSetCommand(line, runningProgram.variables);
+            runningProgram.variables[name] = value;
+            terminal.print(`  [$${name} = ${formatScriptNumber(value)}]`, 'info');
+            continueProgram();
+            return;
+        }
+        if (SCRIPT_BLOCK_KEYWORDS.includes(keyword)) {
+            runBlockStatement(keyword, line);
+            continueProgram();
+            return;
+        }
+        if (keyword === 'def' || keyword === 'enddef' || keyword === 'call') {
+            runCallStatement(keyword, line);
+            continueProgram();
+            return;
+        }
+        if (line.includes('$')) line = expandScriptLine(line, runningProgram.variables);
+    } catch (e) {
+        abortProgram(e.message);
+        return;
+    }
+
+    const parts = line.toLowerCase().split(/\s+/);
+    const cmd = parts[0];
+
+    // Handle special program-only commands
+    if (cmd === 'wait') {
+        const ms = parseInt(parts[1]) || 1000;
+        terminal.print(`  [wait ${ms}ms]`, 'info');
+        scheduleSimulationTask(ms, () => {
+            if (runningProgram) {
+                executeNextProgramCommand();
+            }
+        });
+        return;
+    }
+
+    if (cmd === 'repeat') {
+        const times = parseInt(parts[1]) || 1;
+        runningProgram.loopStack.push({
+            startIndex: runningProgram.index,
+            remaining: times - 1  // -1 because first iteration is current
+        });
+        terminal.print(`  [repeat ${times}x]`, 'info');
+        executeNextProgramCommand();
+        return;
+    }
+
+    if (cmd === 'endrepeat') {
+        if (runningProgram.loopStack.length > 0) {
+            const loop = runningProgram.loopStack[runningProgram.loopStack.length - 1];
+            if (loop.remaining > 0) {
+                loop.remaining--;
+                runningProgram.index = loop.startIndex;
+                terminal.print(`  [loop ${loop.remaining + 1} remaining]`, 'info');
+            } else {
+                runningProgram.loopStack.pop();
+            }
+        }
+        executeNextProgramCommand();
+        return;
+    }
+
+    // Regular command - print and execute
+    runningProgram.controlSteps = 0;
+    terminal.print(`  → ${line}`, 'command');
+    processCommand(line);
+
+    // Wait for animation to complete before next command
+    if (isAnimating || gripperAnimating) {
+        waitForAnimationThenContinue();
+    } else {
+        // Small delay between instant commands for readability
+        scheduleSimulationTask(100, () => {
+            if (runningProgram) {
+                executeNextProgramCommand();
+            }
+        });
+    }
+}
+
+// Evaluate the condition after an "if", "elif" or "while" keyword
+function evaluateCondition(line) {
+    const condition = line.replace(/^\S+\s*/, '');
+    if (!condition) throw new Error(`"${line.split(/\s+/)[0]}" needs a condition`);
+    return evaluateExpression(condition, runningProgram.variables) !== 0;
+}
+
+// Run an if/elif/else/endif or while/endwhile line by moving the program index.
+// The line itself has already been consumed (index points past it).
+function runBlockStatement(keyword, line) {
+    const { blocks } = runningProgram;
+    const lineIndex = runningProgram.index - 1;
+
+    if (keyword === 'if') {
+        // Try each branch in turn until one is taken
+        let branch = lineIndex;
+        let branchLine = line;
+        while (true) {
+            const branchKeyword = branchLine.split(/\s+/)[0].toLowerCase();
+            if (branchKeyword === 'endif') break;
+
+            const taken = branchKeyword === 'else' || evaluateCondition(branchLine);
+            terminal.print(`  [${branchLine} → ${taken ? 'yes' : 'no'}]`, 'info');
+            if (taken) break;
+
+            branch = blocks.get(branch).next;
+            branchLine = runningProgram.commands[branch].trim();
+        }
+        runningProgram.index = branch + 1;
+    } else if (keyword === 'elif' || keyword === 'else') {
+        // Reached the end of the branch that ran: skip the others
+        runningProgram.index = blocks.get(lineIndex).end + 1;
+    } else if (keyword === 'while') {
+        const taken = evaluateCondition(line);
+        terminal.print(`  [${line} → ${taken ? 'yes' : 'no'}]`, 'info');
+        if (!taken) runningProgram.index = blocks.get(lineIndex).end + 1;
+    } else if (keyword === 'endwhile') {
+        // Back to the "while" line, which checks the condition again
+        runningProgram.index = blocks.get(lineIndex).start;
+    }
+    // "endif" needs nothing
+}
+
+// Run a def/enddef/call line
+function runCallStatement(keyword, line) {
+    const lineIndex = runningProgram.index - 1;
+
+    if (keyword === 'def') {
+        // Definitions only run when called
+        runningProgram.index = runningProgram.blocks.get(lineIndex).end + 1;
+        return;
+    }
+
+    if (keyword === 'enddef') {
+        returnFromCall();
+        return;
+    }
+
+    const words = line.split(/\s+/).slice(1);
+    if (words.length === 0) throw new Error('usage: call <name> [args...] or call program <name>');
+
+    if (words[0].toLowerCase() === 'program') {
+        const name = (words[1] || '').toLowerCase();
+        if (!Object.hasOwn(programs, name)) throw new Error(`program "${name}" not found`);
+        if (words.length > 2) throw new Error('programs take no arguments');
+
+        const commands = programs[name].commands;
+        const { blocks, defs, error } = matchScriptBlocks(commands);
+        if (error) throw new Error(`program "${name}" line ${error.line}: ${error.message}`);
+
+        callFrame({ scope: name, commands: [...commands], index: 0, blocks, defs, variables: Object.create(null) }, `program ${name}`);
+        return;
+    }
+
+    const name = words[0].toLowerCase();
+    const def = runningProgram.defs.get(name);
+    if (!def) throw new Error(`"${name}" is not defined (use "def ${name}(...)")`);
+
+    const args = words.slice(1);
+    if (args.length !== def.params.length) {
+        throw new Error(`${name}() takes ${def.params.length} argument${def.params.length === 1 ? '' : 's'}, got ${args.length}`);
+    }
+
+    // Arguments are evaluated in the caller; the def sees only its parameters
+    const variables = Object.create(null);
+    def.params.forEach((param, i) => {
+        variables[param] = evaluateExpression(args[i], runningProgram.variables);
+    });
+
+    const shown = def.params.map(param => formatScriptNumber(variables[param])).join(', ');
+    callFrame({ ...runningProgram, scope: `${name}()`, index: def.index + 1, variables }, `${name}(${shown})`);
+}
+
+// Save the running frame and continue in another one
+// label names the call in the output, printed once the depth allows it
+function callFrame(frame, label) {
+    if (runningProgram.callStack.length >= CONFIG.scripts.maxCallDepth) {
+        throw new Error(`calls nested more than ${CONFIG.scripts.maxCallDepth} deep (endless recursion?)`);
+    }
+    terminal.print(`  [call ${label}]`, 'info');
+
+    const { scope, commands, index, loopStack, blocks, defs, variables } = runningProgram;
+    runningProgram.callStack.push({ scope, commands, index, loopStack, blocks, defs, variables });
+
+    runningProgram.scope = frame.scope;
+    runningProgram.commands = frame.commands;
+    runningProgram.index = frame.index;
+    runningProgram.loopStack = [];
+    runningProgram.blocks = frame.blocks;
+    runningProgram.defs = frame.defs;
+    runningProgram.variables = frame.variables;
+}
+
+// Go back to the caller's frame
+function returnFromCall() {
+    terminal.print(`  [end ${runningProgram.scope}]`, 'info');
+    Object.assign(runningProgram, runningProgram.callStack.pop());
+}
+
+// Go on to the next line after a line that did not move anything. Long runs
+// of such lines (a busy while loop) yield to the simulation now and then so
+// they neither overflow the stack nor freeze the page.
+function continueProgram() {
+    runningProgram.controlSteps++;
+    if (runningProgram.controlSteps % 200 === 0) {
+        scheduleSimulationTask(0, () => {
+            if (runningProgram) {
+                executeNextProgramCommand();
+            }
+        });
+        return;
+    }
+    executeNextProgramCommand();
+}
+
+// ============================================================================
+// PROGRAM DEBUGGING
+// ============================================================================
+
+// A program pauses before a line when asked to, at a breakpoint, or after a
+// step. Pausing only happens between lines: the current move always finishes,
+// and nothing is scheduled while paused, so resuming just runs the next line.
+
+// Checked before every line that runs (blank lines and comments never pause)
+function shouldPauseProgram() {
+    const program = runningProgram;
+    if (program.resumed) {
+        program.resumed = false;
+        return false;
+    }
+    if (program.pauseRequested) return true;
+    if (program.stepDepth !== null && program.callStack.length <= program.stepDepth) return true;
+    return program.commands === program.source && program.breakpoints.has(program.index);
+}
+
+// Pause before the next line
+function pauseProgram() {
+    if (!runningProgram) {
+        terminal.print('No program is running.', 'info');
+        return;
+    }
+    if (!runningProgram.paused) runningProgram.pauseRequested = true;
+}
+
+function resumeProgram() {
+    if (!runningProgram) {
+        terminal.print('No program is running.', 'info');
+        return;
+    }
+    runningProgram.pauseRequested = false;
+    if (!runningProgram.paused) return;
+
+    runningProgram.paused = false;
+    runningProgram.resumed = true;
+    executeNextProgramCommand();
+}
+
+// Run the paused line and pause again at the next one, stepping over calls
+function stepProgram() {
+    if (!runningProgram) {
+        terminal.print('No program is running.', 'info');
+        return;
+    }
+    if (!runningProgram.paused) {
+        runningProgram.pauseRequested = true;
+        return;
+    }
+
+    runningProgram.paused = false;
+    runningProgram.resumed = true;
+    runningProgram.stepDepth = runningProgram.callStack.length;
+    executeNextProgramCommand();
+}
+
+// Snapshot of the running program for debugger views; null when none runs.
+// line is an index into the top-level commands: the line running (or about
+// to run when paused), or the "call program" line while another program runs.
+function getProgramDebugState() {
+    const program = runningProgram;
+    if (!program) return null;
+
+    const frames = [
+        { scope: program.scope, commands: program.commands, line: program.currentLine },
+        ...program.callStack.map(frame => ({ ...frame, line: frame.index - 1 })).reverse()
+    ];
+    const sourceFrame = frames.find(frame => frame.commands === program.source);
+
+    return {
+        name: program.name,
+        line: sourceFrame ? sourceFrame.line : null,
+        paused: program.paused,
+        pausing: program.pauseRequested,
+        calls: frames.map(frame => ({ scope: frame.scope, line: frame.line })),
+        variables: { ...program.variables },
+        loops: program.loopStack.map(loop => ({ line: loop.startIndex, remaining: loop.remaining }))
+    };
+}
+
+// Stop the running program because its current line cannot run,
+// showing where each active call came from
+function abortProgram(message) {
+    const { callStack } = runningProgram;
+    const where = callStack.length > 0 ? `${runningProgram.scope} line` : 'line';
+    terminal.print(`Error: ${where} ${runningProgram.index}: ${message}`, 'error');
+
+    // Innermost caller first; runs of the same caller (recursion) print once
+    for (let i = callStack.length - 1; i >= 0;) {
+        const frame = callStack[i];
+        let count = 1;
+        while (i - count >= 0 && callStack[i - count].scope === frame.scope && callStack[i - count].index === frame.index) {
+            count++;
+        }
+        terminal.print(`  called from ${frame.scope} line ${frame.index}${count > 1 ? ` (${count} times)` : ''}`, 'error');
+        i -= count;
+    }
+    terminal.print(`━━━ PROGRAM STOPPED: ${runningProgram.name.toUpperCase()} ━━━`, 'error');
+    runningProgram = null;
+}
+
+function waitForAnimationThenContinue() {
+    if (!runningProgram) return;
+
+    if (isAnimating || gripperAnimating) {
+        scheduleSimulationTask(50, waitForAnimationThenContinue);
+    } else {
+        // Small pause after animation completes
+        scheduleSimulationTask(100, () => {
+            if (runningProgram) {
+                executeNextProgramCommand();
+            }
+        });
+    }
+}
+
+function handleWaitCommand(args) {
+    // Wait only works during program execution
+    if (!runningProgram) {
+        terminal.print('Note: "wait" only has effect inside programs.', 'info');
+        terminal.print('Use "program new <name>" to create a program.', 'info');
+    }
+}
+
+function handlePlanCommand(args) {
+    if (!runningProgram) {
+        terminal.print('Note: "plan on|off" only has effect inside programs.', 'info');
+        terminal.print('Add "plan" to a single move instead, e.g. goto 100 100 50 plan', 'info');
+        return;
+    }
+
+    const mode = (args[0] || '').toLowerCase();
+    if (mode !== 'on' && mode !== 'off') {
+        terminal.print('Usage: plan on|off', 'error');
+        return;
+    }
+
+    runningProgram.plan = mode === 'on';
+    terminal.print(`  [planned motion ${mode}]`, 'info');
+}
+
+function handleSetCommand(args) {
+    // Variables only exist while a program runs
+    if (!runningProgram) {
+        terminal.print('Note: "set" only has effect inside programs.', 'info');
+        terminal.print('Use "program new <name>" to create a program.', 'info');
+    }
+}
+
+function handleBlockCommand(keyword) {
+    if (!runningProgram) {
+        terminal.print(`Note: "${keyword}" only has effect inside programs.`, 'info');
+        terminal.print('Use "program new <name>" to create a program.', 'info');
+    }
+}
+
+function handleRepeatCommand(args) {
+    if (!runningProgram) {
+        terminal.print('Note: "repeat" only has effect inside programs.', 'info');
+        terminal.print('Use "program new <name>" to create a program.', 'info');
+    }
+}
+
+function handleEndRepeatCommand() {
+    if (!runningProgram) {
+        terminal.print('Note: "endrepeat" only has effect inside programs.', 'info');
+    }
+}
+
+async function runDemo() {
+    terminal.print('Starting demonstration sequence...', 'warning');
+
+    const sequence = [
+        'home',
+        'move 0 45 45 0',
+        'base 90',
+        'base -90',
+        'base 0',
+        'goto 2 2 0',
+        'goto 0 3 2',
+        'goto -1 1.5 1',
+        'home'
+    ];
+
+    for (const cmd of sequence) {
+        animationQueue.push(cmd);
+    }
+
+    // Start first command
+    if (!isAnimating && animationQueue.length > 0) {
+        processCommand(animationQueue.shift());
+    }
+}
+
+// ============================================================================
+// NODE EXPORTS
+// ============================================================================
+
+// Headless runs (headless.js) load this file as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        jointAngles,
+        sceneObjects,
+        programs,
+        savedPositions,
+        initSimulation,
+        stepSimulation,
+        isSimulationIdle,
+        getSimulationState,
+        processCommand,
+        runScript,
+        pauseProgram,
+        resumeProgram,
+        stepProgram,
+        getProgramDebugState,
+        setTerminal,
+        setView,
+        setStorage,
+        setFiles,
+        registerCommand,
+        registerWorkspaceSection,
+        seedRandom,
+        solveIK,
+        getEndEffectorPosition
+    };
+}